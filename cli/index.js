@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import {
+  ENGINES,
+  EndgameTable,
+  GameHistory,
+  GameState,
+  NotationError,
+  RULE_PRESETS,
+  createRandom,
+  describeMove,
+  findEngine,
+  formatBoard,
+  formatResultsCsv,
+  formatPly,
+  hashString,
+  parsePly,
+  parseSeed,
+  randomSeed,
+  runTournament,
+  useEndgameTable,
+} from "../src/engine.js";
+
+/**
+ * Command line front end to the game engine
+ *
+ * Run with `npm run cli -- <command>`, or `node cli/index.js <command>`.
+ */
+
+const USAGE = `Usage: nd-mancala <command> [options]
+
+Commands:
+  play                     Play in the terminal; either seat can be an engine
+  replay <file>            Show every position of a game saved as notation
+  validate <file>...       Check that files hold valid game notation
+  match <engine> <engine>  Play two engines against each other
+  tournament <engine>...   Play every pair of engines on each board and
+                           rule set, with statistics
+  endgame <file>           Solve every position with few stones left and
+                           save the table for the engines to use
+
+Board options (play, match, endgame, tournament):
+  --dimensions <n>   Board dimensions (default 2)
+  --pits <n>         Pits along each axis (default 6)
+  --stones <n>       Stones per pit (default 4); for endgame, the most
+                     stones left in the pits
+  --rules <name>     Rule preset: ${Object.keys(RULE_PRESETS).join(", ")}
+  --seed <text>      Seed of the game, or of the first game of a match
+For a tournament, --dimensions, --pits, --stones and --rules take
+comma-separated lists and every combination is played.
+
+Other options:
+  --player1 <who>    play: "human" or an engine (default human)
+  --player2 <who>    play: "human" or an engine (default human)
+  --games <n>        match: number of games; tournament: games per pair of
+                     engines on each board (default 10)
+  --notation         match: print each game's notation
+  --final            replay: show only the final position
+  --endgame <file>   play, match, tournament: engines play positions in
+                     this endgame table perfectly
+  --csv <file>       tournament: also write the results as CSV
+  --json <file>      tournament: also write the results as JSON
+
+Engines: ${Object.keys(ENGINES).join(", ")}, minimax-<depth>`;
+
+const OPTIONS = {
+  dimensions: { type: "string", default: "2" },
+  pits: { type: "string", default: "6" },
+  stones: { type: "string", default: "4" },
+  rules: { type: "string", default: "kalah" },
+  seed: { type: "string" },
+  player1: { type: "string", default: "human" },
+  player2: { type: "string", default: "human" },
+  games: { type: "string", default: "10" },
+  notation: { type: "boolean", default: false },
+  final: { type: "boolean", default: false },
+  endgame: { type: "string" },
+  csv: { type: "string" },
+  json: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * A mistake in how the CLI was called; reported with the usage text
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function readCount(values, name, min) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`--${name} must be a whole number of at least ${min}`);
+  }
+  return value;
+}
+
+function readCounts(values, name, min) {
+  return values[name].split(",").map((value) => readCount({ [name]: value }, name, min));
+}
+
+function readEngine(name) {
+  const engine = findEngine(name);
+  if (!engine) {
+    throw new UsageError(`Unknown engine "${name}"`);
+  }
+  return engine;
+}
+
+/**
+ * Builds a new game from the board options
+ */
+function createGame(values, seed) {
+  if (!Object.hasOwn(RULE_PRESETS, values.rules)) {
+    throw new UsageError(`Unknown rules "${values.rules}"`);
+  }
+  return new GameState(
+    readCount(values, "dimensions", 2),
+    readCount(values, "pits", 1),
+    readCount(values, "stones", 1),
+    { rules: RULE_PRESETS[values.rules].rules, seed }
+  );
+}
+
+/**
+ * Loads the table given with --endgame for every engine to use
+ */
+async function readEndgameTable(values) {
+  if (values.endgame === undefined) return;
+  useEndgameTable(EndgameTable.fromBytes(await readFile(values.endgame)));
+}
+
+function readSeed(values) {
+  return values.seed === undefined ? randomSeed() : parseSeed(values.seed);
+}
+
+function describeResult(gameState) {
+  const winner = gameState.getWinner();
+  const { player1, player2 } = gameState.getScores();
+  const outcome = winner === 0 ? "draw" : `player ${winner} wins`;
+  return `${outcome}, ${player1}-${player2}`;
+}
+
+async function play(values) {
+  const seats = {};
+  for (const player of [1, 2]) {
+    const who = values[`player${player}`];
+    seats[player] = who === "human" ? null : readEngine(who);
+  }
+  await readEndgameTable(values);
+  const gameState = createGame(values, readSeed(values));
+  const history = new GameHistory(gameState);
+  const random = createRandom(hashString(`${gameState.seed}:engines`));
+
+  // Lines are buffered, so moves can also be piped in
+  const input = createInterface({ input: process.stdin });
+  const lines = input[Symbol.asyncIterator]();
+  const ask = async (prompt) => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? "quit" : value.trim();
+  };
+
+  console.log('Type a pit to sow, e.g. "3" or "1.3", "undo", "moves" or "quit".\n');
+  try {
+    while (!history.current.isGameOver()) {
+      const current = history.current;
+      const player = current.currentPlayer;
+      console.log(formatBoard(current) + "\n");
+
+      let coords;
+      if (seats[player]) {
+        coords = seats[player].choose(current, random);
+      } else {
+        const answer = await ask(`Player ${player}, pit to sow: `);
+        if (answer === "quit") return;
+        if (answer === "undo") {
+          // Back to this player's previous turn, past any engine replies
+          while (history.undo() && seats[history.current.currentPlayer]);
+          continue;
+        }
+        if (answer === "moves") {
+          console.log(current.getValidMoves().map(formatPly).join(" ") + "\n");
+          continue;
+        }
+        try {
+          coords = parsePly(answer);
+        } catch (error) {
+          if (!(error instanceof NotationError)) throw error;
+          console.log(`${error.message}\n`);
+          continue;
+        }
+        if (!current.isValidMove(coords)) {
+          console.log(`Pit ${answer} cannot be sown\n`);
+          continue;
+        }
+      }
+      console.log(describeMove(history.push(coords)) + "\n");
+    }
+  } finally {
+    input.close();
+  }
+
+  console.log(formatBoard(history.current) + "\n");
+  console.log(history.current.toNotation());
+}
+
+async function replay(values, [file]) {
+  if (!file) {
+    throw new UsageError("replay needs a file");
+  }
+  const history = GameHistory.fromGame(GameState.fromNotation(await readFile(file, "utf8")));
+  if (!values.final) {
+    console.log(formatBoard(history.states[0]) + "\n");
+    history.moves.forEach((move, i) => {
+      console.log(`${i + 1}. ${describeMove(move)}`);
+      console.log(formatBoard(history.states[i + 1]) + "\n");
+    });
+  } else {
+    console.log(formatBoard(history.current));
+  }
+}
+
+async function validate(values, files) {
+  if (files.length === 0) {
+    throw new UsageError("validate needs at least one file");
+  }
+  for (const file of files) {
+    try {
+      const gameState = GameState.fromNotation(await readFile(file, "utf8"));
+      const plies = `${gameState.moves.length} ${gameState.moves.length === 1 ? "ply" : "plies"}`;
+      const result = gameState.isGameOver() ? describeResult(gameState) : "unfinished";
+      console.log(`${file}: ok, ${plies}, ${result}`);
+    } catch (error) {
+      console.log(`${file}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function match(values, names) {
+  if (names.length !== 2) {
+    throw new UsageError("match needs two engines");
+  }
+  const engines = { 1: readEngine(names[0]), 2: readEngine(names[1]) };
+  const games = readCount(values, "games", 1);
+  const firstSeed = readSeed(values);
+  await readEndgameTable(values);
+  const tally = { 0: 0, 1: 0, 2: 0 };
+
+  for (let game = 0; game < games; game++) {
+    // Consecutive seeds, so any game can be played again on its own
+    const seed = (firstSeed + game) >>> 0;
+    const gameState = createGame(values, seed);
+    const random = createRandom(hashString(`${seed}:engines`));
+    while (!gameState.isGameOver()) {
+      gameState.performMove(engines[gameState.currentPlayer].choose(gameState, random));
+    }
+
+    tally[gameState.getWinner()]++;
+    console.log(`Game ${game + 1} (seed ${seed}): ${describeResult(gameState)}`);
+    if (values.notation) {
+      console.log(`\n${gameState.toNotation()}`);
+    }
+  }
+
+  console.log(
+    `\n${names[0]} (player 1): ${tally[1]} wins, ${names[1]} (player 2): ${tally[2]} wins, ${tally[0]} draws`
+  );
+}
+
+async function endgame(values, [file]) {
+  if (!file) {
+    throw new UsageError("endgame needs a file to write");
+  }
+  if (!Object.hasOwn(RULE_PRESETS, values.rules)) {
+    throw new UsageError(`Unknown rules "${values.rules}"`);
+  }
+  const started = Date.now();
+  const table = EndgameTable.generate(
+    {
+      dimensions: readCount(values, "dimensions", 2),
+      pocketsPerSide: readCount(values, "pits", 1),
+      maxStones: readCount(values, "stones", 0),
+      rules: RULE_PRESETS[values.rules].rules,
+    },
+    (stones) => console.log(`Solved ${stones} ${stones === 1 ? "stone" : "stones"} (${Date.now() - started} ms)`)
+  );
+  const bytes = table.toBytes();
+  await writeFile(file, bytes);
+  console.log(`${file}: ${table.values.length} positions, ${bytes.length} bytes`);
+}
+
+function formatRate({ rate, low, high }) {
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  return `${percent(rate)} [${percent(low)}-${percent(high)}]`;
+}
+
+async function tournament(values, names) {
+  if (names.length < 2) {
+    throw new UsageError("tournament needs at least two engines");
+  }
+  names.forEach(readEngine);
+  const rules = values.rules.split(",");
+  for (const preset of rules) {
+    if (!Object.hasOwn(RULE_PRESETS, preset)) {
+      throw new UsageError(`Unknown rules "${preset}"`);
+    }
+  }
+  const boards = readCounts(values, "dimensions", 2).flatMap((dimensions) =>
+    readCounts(values, "pits", 1).flatMap((pocketsPerSide) =>
+      readCounts(values, "stones", 1).map((stones) => ({ dimensions, pocketsPerSide, stones }))
+    )
+  );
+  await readEndgameTable(values);
+
+  const results = runTournament({
+    engines: names,
+    boards,
+    rules,
+    games: readCount(values, "games", 1),
+    seed: readSeed(values),
+    onMatchup: ({ board, rules: preset, engines, played }) => {
+      console.error(`${board.dimensions}:${board.pocketsPerSide}, ${board.stones} stones, ${preset}: ${engines.join(" v ")}, ${played} games`);
+    },
+  });
+
+  for (const board of results.boards) {
+    console.log(`\n${board.dimensions} dimensions, ${board.pocketsPerSide} pits, ${board.stones} stones, ${RULE_PRESETS[board.rules].label}`);
+    for (const matchup of board.matchups) {
+      const [a, b] = matchup.engines;
+      console.log(
+        `  ${a} v ${b}: ${matchup.wins[0]}-${matchup.wins[1]}, ${matchup.draws} drawn; ` +
+        `${a} wins ${formatRate(matchup.winRates[0])}, ${b} wins ${formatRate(matchup.winRates[1])}, ` +
+        `draws ${formatRate(matchup.drawRate)}; ${matchup.averagePlies.toFixed(1)} plies`
+      );
+    }
+    const { winRate, drawRate, advantage } = board.firstPlayer;
+    const sign = advantage >= 0 ? "+" : "";
+    console.log(
+      `  First player wins ${formatRate(winRate)}, draws ${formatRate(drawRate)}, ` +
+      `advantage ${sign}${(advantage * 100).toFixed(1)} points`
+    );
+  }
+
+  if (values.csv) {
+    await writeFile(values.csv, formatResultsCsv(results));
+  }
+  if (values.json) {
+    await writeFile(values.json, JSON.stringify(results, null, 2) + "\n");
+  }
+}
+
+const COMMANDS = { play, replay, validate, match, endgame, tournament };
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  await COMMANDS[command](values, rest);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  // parseArgs reports unknown options with its own error codes
+  const usage = error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS");
+  console.error(`nd-mancala: ${error.message}`);
+  if (usage) {
+    console.error(`\n${USAGE}`);
+  }
+  process.exitCode = usage ? 2 : 1;
+});
@@ -0,0 +1,148 @@
+import { WebSocket, WebSocketServer } from "ws";
+import { MAX_NOTATION_LENGTH, RoomError, RoomRegistry } from "./rooms.js";
+
+/**
+ * Online play server
+ *
+ * Holds the authoritative game of every room and relays it to both players.
+ * Messages are JSON objects with a `type`:
+ *
+ * From clients:
+ * - `{type: "host", notation, name}` opens a room for a game in notation
+ * - `{type: "join", code, name}` takes the free seat of a room
+ * - `{type: "rejoin", code, token}` reclaims a seat after a reconnect
+ * - `{type: "move", coords}` plays a move for the client's seat
+ *
+ * From the server:
+ * - `{type: "joined", code, player, token}` confirms a seat; keep the token to rejoin
+ * - `{type: "state", code, notation, move, players}` is the whole game, sent
+ *   to both players after every change; `move` is the move just played, if any
+ * - `{type: "error", message}` explains a refused request
+ *
+ * Run with `npm run server`; the port defaults to 8787 and can be set with PORT.
+ */
+
+const DEFAULT_PORT = 8787;
+// Rooms nobody is connected to are closed after this long
+const ROOM_TTL_MS = 30 * 60 * 1000;
+// Largest message accepted: the longest notation plus JSON escaping and the
+// other fields
+const MAX_PAYLOAD_BYTES = 2 * MAX_NOTATION_LENGTH;
+
+/**
+ * Starts a server
+ * @param {Object} [options={}]
+ * @param {number} [options.port=8787]
+ * @returns {WebSocketServer}
+ */
+export function startServer({ port = DEFAULT_PORT } = {}) {
+  const registry = new RoomRegistry();
+  const server = new WebSocketServer({ port, maxPayload: MAX_PAYLOAD_BYTES });
+
+  const send = (socket, message) => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const broadcast = (room, move = null) => {
+    const message = room.toMessage(move);
+    [1, 2].forEach((seat) => send(room.seats[seat]?.socket, message));
+  };
+
+  // Seats a socket, dropping any older connection of the same player
+  const attach = (socket, room, player) => {
+    const seat = room.seats[player];
+    if (seat.socket && seat.socket !== socket) {
+      seat.socket.close();
+    }
+    seat.socket = socket;
+    socket.room = room;
+    socket.player = player;
+    clearTimeout(room.expiry);
+    send(socket, { type: "joined", code: room.code, player, token: seat.token });
+    broadcast(room);
+  };
+
+  // A socket holds one seat; seating it elsewhere would orphan its room,
+  // which then never expires. Only a rejoin of the same room is allowed.
+  const checkUnseated = (socket, room = null) => {
+    if (socket.room && socket.room !== room) {
+      throw new RoomError(`Already playing in room ${socket.room.code}`);
+    }
+  };
+
+  const handlers = {
+    host(socket, message) {
+      checkUnseated(socket);
+      const room = registry.create(message.notation);
+      const { player } = room.takeSeat(String(message.name ?? "Player 1"));
+      attach(socket, room, player);
+    },
+    join(socket, message) {
+      checkUnseated(socket);
+      const room = registry.get(message.code);
+      const { player } = room.takeSeat(String(message.name ?? "Player 2"));
+      attach(socket, room, player);
+    },
+    rejoin(socket, message) {
+      const room = registry.get(message.code);
+      checkUnseated(socket, room);
+      attach(socket, room, room.findSeat(message.token));
+    },
+    move(socket, message) {
+      if (!socket.room) {
+        throw new RoomError("Join a room first");
+      }
+      try {
+        socket.room.play(socket.player, message.coords);
+      } catch (error) {
+        // The client showed the move already; put it back in step
+        send(socket, socket.room.toMessage());
+        throw error;
+      }
+      broadcast(socket.room, message.coords);
+    },
+  };
+
+  server.on("connection", (socket) => {
+    socket.on("message", (data) => {
+      try {
+        const message = JSON.parse(data);
+        const handler = Object.hasOwn(handlers, message.type) ? handlers[message.type] : null;
+        if (!handler) {
+          throw new RoomError(`Unknown message type "${message.type}"`);
+        }
+        handler(socket, message);
+      } catch (error) {
+        if (!(error instanceof RoomError) && !(error instanceof SyntaxError)) {
+          console.error(error);
+        }
+        send(socket, { type: "error", message: error.message });
+      }
+    });
+
+    // Oversized or malformed frames. ws closes the socket after reporting
+    // them, which frees the seat below; without a listener they would crash
+    // the server.
+    socket.on("error", () => {});
+
+    socket.on("close", () => {
+      const room = socket.room;
+      if (!room || room.seats[socket.player].socket !== socket) return;
+      room.seats[socket.player].socket = null;
+      broadcast(room);
+      if (room.isEmpty()) {
+        room.expiry = setTimeout(() => registry.delete(room), ROOM_TTL_MS);
+      }
+    });
+  });
+
+  return server;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  startServer({ port });
+  console.log(`Mancala server listening on ws://localhost:${port}`);
+}
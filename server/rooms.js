@@ -0,0 +1,165 @@
+import { randomInt, randomUUID } from "node:crypto";
+import { GameState } from "../src/game-state.js";
+
+// Room codes avoid letters and digits that are easily mixed up
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+// Longest game notation a room is opened for; long enough for any real game
+export const MAX_NOTATION_LENGTH = 32 * 1024;
+
+/**
+ * A request the server refuses; the message is sent back to the client
+ */
+export class RoomError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RoomError";
+  }
+}
+
+/**
+ * One online game: the authoritative state and the two seats
+ */
+export class Room {
+  /**
+   * @param {string} code - Code players join with
+   * @param {GameState} state - Game to play
+   */
+  constructor(code, state) {
+    this.code = code;
+    this.state = state;
+    // Each seat is null until taken, then {token, name, socket}
+    this.seats = { 1: null, 2: null };
+  }
+
+  /**
+   * Gives the first free seat to a player
+   * @param {string} name - Name shown to both players
+   * @returns {{player: number, token: string}} The seat and the token that reclaims it
+   * @throws {RoomError} If both seats are taken
+   */
+  takeSeat(name) {
+    const player = [1, 2].find((seat) => this.seats[seat] === null);
+    if (!player) {
+      throw new RoomError(`Room ${this.code} is full`);
+    }
+    const token = randomUUID();
+    this.seats[player] = { token, name, socket: null };
+    return { player, token };
+  }
+
+  /**
+   * Finds the seat a reconnecting player held
+   * @returns {number} The player number
+   * @throws {RoomError} If the token is not one of this room's
+   */
+  findSeat(token) {
+    const player = [1, 2].find((seat) => this.seats[seat]?.token === token);
+    if (!player) {
+      throw new RoomError(`No seat in room ${this.code} for this player`);
+    }
+    return player;
+  }
+
+  /**
+   * Plays a move for a seat after checking it against the rules
+   * @param {number} player - Seat the move comes from
+   * @param {Array<number>} coords - Pit to sow
+   * @throws {RoomError} If it is not that player's turn or the move is illegal
+   */
+  play(player, coords) {
+    if (this.state.isGameOver()) {
+      throw new RoomError("The game is over");
+    }
+    if (player !== this.state.currentPlayer) {
+      throw new RoomError("It is not your turn");
+    }
+    const validCoords = Array.isArray(coords) && coords.every(Number.isInteger);
+    if (!validCoords || !this.state.isValidMove(coords)) {
+      throw new RoomError("Illegal move");
+    }
+    this.state.performMove(coords);
+  }
+
+  /**
+   * Whether anyone is still connected
+   */
+  isEmpty() {
+    return [1, 2].every((seat) => !this.seats[seat]?.socket);
+  }
+
+  /**
+   * The full game as sent to clients. It carries everything a client needs,
+   * so a reconnecting player is brought up to date by this one message.
+   * @param {Array<number>|null} move - Move that led to this state, if any
+   */
+  toMessage(move = null) {
+    const players = {};
+    [1, 2].forEach((seat) => {
+      const taken = this.seats[seat];
+      players[seat] = taken ? { name: taken.name, connected: taken.socket !== null } : null;
+    });
+    return {
+      type: "state",
+      code: this.code,
+      notation: this.state.toNotation(),
+      move,
+      players,
+    };
+  }
+}
+
+/**
+ * All open rooms by code
+ */
+export class RoomRegistry {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  /**
+   * Opens a room for a game
+   * @param {string} notation - Game notation of the game to play, see notation.js
+   * @returns {Room}
+   * @throws {RoomError} If the notation is too long or cannot be read
+   */
+  create(notation) {
+    if (typeof notation !== "string" || notation.length > MAX_NOTATION_LENGTH) {
+      throw new RoomError(`Invalid game: expected notation of at most ${MAX_NOTATION_LENGTH} characters`);
+    }
+    let state;
+    try {
+      state = GameState.fromNotation(notation);
+    } catch (error) {
+      throw new RoomError(`Invalid game: ${error.message}`);
+    }
+
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () =>
+        CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]
+      ).join("");
+    } while (this.rooms.has(code));
+
+    const room = new Room(code, state);
+    this.rooms.set(code, room);
+    return room;
+  }
+
+  /**
+   * @param {string} code - Room code, in any case
+   * @returns {Room}
+   * @throws {RoomError} If there is no such room
+   */
+  get(code) {
+    const room = this.rooms.get(String(code).trim().toUpperCase());
+    if (!room) {
+      throw new RoomError(`No room with code ${code}`);
+    }
+    return room;
+  }
+
+  delete(room) {
+    this.rooms.delete(room.code);
+  }
+}
@@ -0,0 +1,22 @@
+import { GameState } from "./game-state.js";
+import { analyzeMoves, chooseMove, useEndgameTable } from "./ai.js";
+import { EndgameTable } from "./endgame.js";
+
+// What the worker can be asked to do; each gets the whole message
+const TASKS = {
+  move: ({ snapshot, difficulty }) => chooseMove(GameState.fromSnapshot(snapshot), difficulty),
+  analysis: ({ snapshot }) => analyzeMoves(GameState.fromSnapshot(snapshot)),
+  endgame: ({ bytes }) => useEndgameTable(bytes ? EndgameTable.fromBytes(bytes) : null),
+};
+
+/**
+ * Runs the computer player's searches off the main thread so rendering keeps
+ * going while it thinks
+ */
+self.onmessage = (event) => {
+  const { id, task } = event.data;
+  const result = TASKS[task](event.data);
+  if (id !== undefined) {
+    self.postMessage({ id, result });
+  }
+};
@@ -0,0 +1,209 @@
+/**
+ * Computer opponent: picks moves by alpha-beta search over simulated moves
+ */
+
+// Search limits for each difficulty level. The search deepens one ply at a
+// time and keeps the best move of the deepest search that fits the budget.
+export const DIFFICULTY_LEVELS = {
+  easy: { depth: 1, timeBudget: 100 },
+  medium: { depth: 4, timeBudget: 500 },
+  hard: { depth: 10, timeBudget: 2000 },
+};
+
+// Limits for the analysis overlay, which scores every move instead of
+// only finding the best one
+export const ANALYSIS_LIMITS = { depth: 8, timeBudget: 1000 };
+
+const WIN_SCORE = 10000;
+
+// Thrown from inside the search when the time budget runs out
+const SEARCH_TIMEOUT = Symbol("search timeout");
+
+// Solved endgames the search can stop at, see `useEndgameTable`
+let endgameTable = null;
+
+/**
+ * Lets every search look up positions in an endgame table instead of
+ * searching them, for perfect play once few enough stones are left
+ * @param {EndgameTable|null} table - Table from endgame.js, or null to stop using one
+ */
+export function useEndgameTable(table) {
+  endgameTable = table;
+}
+
+function isSolved(gameState) {
+  return endgameTable !== null && endgameTable.covers(gameState);
+}
+
+function finalScore(margin) {
+  if (margin === 0) return 0;
+  return margin > 0 ? WIN_SCORE + margin : -WIN_SCORE + margin;
+}
+
+/**
+ * Scores a position from a player's point of view
+ */
+function evaluate(gameState, player) {
+  const opponent = player === 1 ? 2 : 1;
+  const margin =
+    gameState.mancalas[`player${player}`] - gameState.mancalas[`player${opponent}`];
+
+  if (gameState.isGameOver()) {
+    return finalScore(margin);
+  }
+  // A solved position scores as the game it ends in
+  if (isSolved(gameState)) {
+    const remaining = endgameTable.lookup(gameState);
+    return finalScore(margin + (gameState.currentPlayer === player ? remaining : -remaining));
+  }
+  return margin;
+}
+
+/**
+ * Minimax with alpha-beta pruning. Extra turns are handled naturally because
+ * the side to maximise is taken from whoever is to move in each state.
+ */
+function search(gameState, depth, alpha, beta, player, deadline) {
+  if (depth === 0 || gameState.isGameOver() || isSolved(gameState)) {
+    return evaluate(gameState, player);
+  }
+  if (Date.now() > deadline) {
+    throw SEARCH_TIMEOUT;
+  }
+
+  const maximizing = gameState.currentPlayer === player;
+  let best = maximizing ? -Infinity : Infinity;
+
+  for (const move of gameState.getValidMoves()) {
+    const next = gameState.simulateMove(move).state;
+    const value = search(next, depth - 1, alpha, beta, player, deadline);
+
+    if (maximizing) {
+      best = Math.max(best, value);
+      alpha = Math.max(alpha, best);
+    } else {
+      best = Math.min(best, value);
+      beta = Math.min(beta, best);
+    }
+    if (alpha >= beta) break;
+  }
+
+  return best;
+}
+
+/**
+ * Finds the best move at a fixed search depth
+ */
+function searchRoot(gameState, moves, depth, deadline) {
+  const player = gameState.currentPlayer;
+  let bestMove = moves[0];
+  let bestValue = -Infinity;
+
+  for (const move of moves) {
+    const next = gameState.simulateMove(move).state;
+    const value = search(next, depth - 1, bestValue, Infinity, player, deadline);
+    if (value > bestValue) {
+      bestValue = value;
+      bestMove = move;
+    }
+  }
+
+  return bestMove;
+}
+
+/**
+ * Chooses a move for the player to move
+ * @param {GameState} gameState - Position to search; it is not modified
+ * @param {string} [difficulty="medium"] - One of the keys of DIFFICULTY_LEVELS
+ * @returns {Array<number>|null} Coordinates of the chosen pit, or null if there is no legal move
+ */
+export function chooseMove(gameState, difficulty = "medium") {
+  const { depth, timeBudget } = DIFFICULTY_LEVELS[difficulty];
+  const moves = gameState.getValidMoves();
+  if (moves.length === 0) {
+    return null;
+  }
+  if (isSolved(gameState)) {
+    return endgameTable.bestMove(gameState);
+  }
+
+  const deadline = Date.now() + timeBudget;
+  let bestMove = moves[0];
+  for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+    try {
+      bestMove = searchRoot(gameState, moves, currentDepth, deadline);
+    } catch (error) {
+      if (error !== SEARCH_TIMEOUT) throw error;
+      break;
+    }
+  }
+
+  return bestMove;
+}
+
+/**
+ * Chooses a move by searching exactly `depth` plies, however long it takes,
+ * so the choice does not depend on how fast the machine is
+ * @param {GameState} gameState - Position to search; it is not modified
+ * @param {number} depth - Plies to search, at least 1
+ * @returns {Array<number>|null} Coordinates of the chosen pit, or null if there is no legal move
+ */
+export function chooseMoveAtDepth(gameState, depth) {
+  const moves = gameState.getValidMoves();
+  if (moves.length === 0) {
+    return null;
+  }
+  if (isSolved(gameState)) {
+    return endgameTable.bestMove(gameState);
+  }
+  return searchRoot(gameState, moves, depth, Infinity);
+}
+
+/**
+ * Scores every legal move for the player to move, for the analysis overlay
+ *
+ * Unlike `chooseMove` each move is searched with a full window, so every
+ * value is exact rather than just a bound showing it is not the best.
+ * @param {GameState} gameState - Position to search; it is not modified
+ * @param {{depth: number, timeBudget: number}} [limits=ANALYSIS_LIMITS]
+ * @returns {Array<{coords: Array<number>, value: number}>} Each move in
+ *   sowing order with its value for the mover, as used by the search
+ */
+export function analyzeMoves(gameState, { depth, timeBudget } = ANALYSIS_LIMITS) {
+  const player = gameState.currentPlayer;
+  const moves = gameState.getValidMoves();
+  const deadline = Date.now() + timeBudget;
+
+  // A 1-ply search only evaluates and never runs out of time
+  let values = [];
+  for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+    try {
+      values = moves.map((move) =>
+        search(gameState.simulateMove(move).state, currentDepth - 1, -Infinity, Infinity, player, deadline)
+      );
+    } catch (error) {
+      if (error !== SEARCH_TIMEOUT) throw error;
+      break;
+    }
+  }
+
+  return moves.map((coords, i) => ({ coords, value: values[i] }));
+}
+
+/**
+ * Puts a value from `analyzeMoves` into words for the player to move:
+ * "Win" or "Loss" once the search sees the end of the game, otherwise how
+ * much the move is expected to change their lead, e.g. "+3"
+ * @param {number} value - Value of a move
+ * @param {GameState} gameState - Position the move is played from
+ * @returns {string}
+ */
+export function formatEvaluation(value, gameState) {
+  if (value > WIN_SCORE / 2) return "Win";
+  if (value < -WIN_SCORE / 2) return "Loss";
+  const player = gameState.currentPlayer;
+  const opponent = player === 1 ? 2 : 1;
+  const lead = gameState.mancalas[`player${player}`] - gameState.mancalas[`player${opponent}`];
+  const change = value - lead;
+  return change > 0 ? `+${change}` : `${change}`;
+}
@@ -0,0 +1,81 @@
+import { formatPit } from "./move-list.js";
+
+/**
+ * Spoken descriptions of the game for screen readers, read from GameState
+ * rather than the board meshes
+ */
+
+function stones(count) {
+  return `${count} ${count === 1 ? "stone" : "stones"}`;
+}
+
+function describeScores(gameState, names) {
+  const scores = gameState.getScores();
+  return `Score: ${names[1]} ${scores.player1}, ${names[2]} ${scores.player2}.`;
+}
+
+/**
+ * Describes a move that has just been played
+ * @param {MoveResult} move - The move, as returned by `GameHistory.push`
+ * @param {GameState} gameState - The position after the move
+ * @param {{1: string, 2: string}} names - What to call each player
+ * @returns {string}
+ */
+export function describeMoveForSpeech(move, gameState, names) {
+  const sentences = [`${names[move.player]} sowed pit ${formatPit(move.coords)}, ${stones(move.stones)}.`];
+  if (move.captured > 0) {
+    sentences.push(`Captured ${stones(move.captured)}.`);
+  }
+  sentences.push(describeScores(gameState, names));
+
+  const winner = gameState.getWinner();
+  if (winner !== null) {
+    sentences.push(winner === 0 ? "Game over, it's a draw." : `Game over, ${names[winner]} wins.`);
+  } else if (move.extraTurn) {
+    sentences.push(`Extra turn, ${names[move.player]} moves again.`);
+  } else {
+    sentences.push(`${names[gameState.currentPlayer]} to move.`);
+  }
+  return sentences.join(" ");
+}
+
+/**
+ * Describes the pit under the keyboard cursor and what sowing it would do
+ * @param {GameState} gameState
+ * @param {Array<number>} coords - Focused pit of the player to move
+ * @returns {string}
+ */
+export function describeFocus(gameState, coords) {
+  const count = gameState.getStonesAt(gameState.currentPlayer, coords);
+  const pit = `Pit ${formatPit(coords)}, ${stones(count)}`;
+  const outcome = gameState.simulateMove(coords);
+  if (!outcome) {
+    return `${pit}, cannot be played.`;
+  }
+
+  const effects = [];
+  if (outcome.extraTurn) effects.push("ends in your mancala for an extra turn");
+  if (outcome.captured > 0) effects.push(`captures ${stones(outcome.captured)}`);
+  if (outcome.gameOver) effects.push("ends the game");
+  return effects.length > 0 ? `${pit}, ${effects.join(", ")}.` : `${pit}.`;
+}
+
+/**
+ * Speaks text through an ARIA live region
+ */
+export class Announcer {
+  /**
+   * @param {HTMLElement} element - Element with `aria-live` set
+   */
+  constructor(element) {
+    this.element = element;
+  }
+
+  say(text) {
+    // Emptying the region first makes a repeated message be read again
+    this.element.textContent = "";
+    requestAnimationFrame(() => {
+      this.element.textContent = text;
+    });
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Plain-text pictures of positions, for terminals and logs
+ *
+ * Player 2's pits are drawn above player 1's with every coordinate mirrored,
+ * so each pit is drawn in the same place as the pit opposite it, the one it
+ * captures from. Pits are labelled counting from 1, as in game notation:
+ * the labels of a pit are what to type to sow it. Boards with more than two
+ * axes per player are drawn as one block per slice through the leading axes.
+ */
+
+// Every combination of `axes` coordinates in row-major order
+function allCoords(axes, size) {
+  if (axes === 0) return [[]];
+  return allCoords(axes - 1, size).flatMap((head) =>
+    Array.from({ length: size }, (_, c) => [...head, c])
+  );
+}
+
+/**
+ * Draws a position
+ * @param {GameState} gameState
+ * @returns {string} Lines of text, without a trailing newline
+ */
+export function formatBoard(gameState) {
+  const size = gameState.pocketsPerSide;
+  const axes = gameState.dimensions - 1;
+  const mirror = (coords) => gameState.getOppositeCoords(coords);
+  const label = (coords) => coords.map((c) => c + 1).join(".");
+
+  // Widest of any count or label, plus a space between columns
+  const counts = [1, 2].flatMap((player) =>
+    gameState.getPitCoordinates().map((coords) => gameState.getStonesAt(player, coords))
+  );
+  const cell = Math.max(2, String(Math.max(...counts, size)).length) + 1;
+  const pad = (value) => String(value).padStart(cell);
+  // Rows are labelled only on grids of two or more axes
+  const rows = axes >= 2 ? size : 1;
+  const rowLabel = (value) => (axes >= 2 ? `${pad(value)} |` : "  ");
+  const margin = " ".repeat(axes >= 2 ? cell + 2 : 2);
+  const columns = Array.from({ length: size }, (_, c) => c);
+
+  // `coordsAt` maps where a pit is drawn to the pit drawn there
+  const drawRows = (player, lead, coordsAt) =>
+    Array.from({ length: rows }, (_, r) => {
+      const pits = columns.map((c) => coordsAt(axes >= 2 ? [...lead, r, c] : [c]));
+      const stones = pits.map((coords) => pad(gameState.getStonesAt(player, coords)));
+      return rowLabel(axes >= 2 ? pits[0][axes - 2] + 1 : "") + stones.join("");
+    });
+  const header = (coordsAt) =>
+    margin + columns.map((c) => pad(coordsAt([...Array(axes - 1).fill(0), c])[axes - 1] + 1)).join("");
+
+  const lines = [];
+  const mark = (player) =>
+    !gameState.isGameOver() && gameState.currentPlayer === player ? "  <- to move" : "";
+  lines.push(`Player 2  mancala ${gameState.mancalas.player2}${mark(2)}`);
+
+  const identity = (coords) => coords;
+  for (const lead of allCoords(Math.max(axes - 2, 0), size)) {
+    if (axes > 2) {
+      const opposite = lead.map((c) => size - 1 - c);
+      lines.push(`Player 2 pits ${label(opposite)}.*.* over player 1 pits ${label(lead)}.*.*`);
+    }
+    lines.push(header(mirror));
+    lines.push(...drawRows(2, lead, mirror));
+    lines.push(margin + "-".repeat(cell * size));
+    lines.push(...drawRows(1, lead, identity));
+    lines.push(header(identity));
+  }
+
+  lines.push(`Player 1  mancala ${gameState.mancalas.player1}${mark(1)}`);
+
+  const winner = gameState.getWinner();
+  if (winner !== null) {
+    const { player1, player2 } = gameState.getScores();
+    lines.push(winner === 0
+      ? `Game over: draw, ${player1}-${player2}`
+      : `Game over: player ${winner} wins, ${player1}-${player2}`);
+  }
+  return lines.join("\n");
+}
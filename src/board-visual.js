@@ -1,5 +1,9 @@
 import * as THREE from "three";
-import { distributeStones } from "./distribution.js";
+import { distributeStones, bowlProfile } from "./distribution.js";
+import { createRandom, hashString } from "./random.js";
+import { SOWING_DIRECTIONS } from "./rules.js";
+import { StoneField } from "./stone-field.js";
+import { getLabelMaterial } from "./label-atlas.js";
 
 // Board layout constants
 const BOARD_CONSTANTS = {
@@ -15,15 +19,40 @@ const BOARD_CONSTANTS = {
   SPACING: {
     ROW: 1.5,
     PIT: 1.2,
+    BLOCK: 0.8,
   },
   STONE: {
     RADIUS: 0.1,
     SEGMENTS: 16,
-    HEIGHT: 0.15,
   },
   TEXT: {
     HEIGHT: 0.5,
   },
+  BADGE: {
+    HEIGHT: 1.1,
+    WIDTH: 1.6,
+  },
+  ANALYSIS: {
+    HEIGHT: 0.85,
+    WIDTH: 0.8,
+  },
+};
+
+// The hint glow fades in and out this many times
+const HINT = {
+  PULSES: 3,
+  PULSE_MS: 700,
+};
+
+// Move animation timings in milliseconds at normal speed
+const ANIMATION = {
+  LIFT_MS: 200,
+  HOP_MS: 250,
+  CAPTURE_MS: 500,
+  EXTRA_TURN_PAUSE_MS: 600,
+  LIFT_HEIGHT: 0.8,
+  ARC_HEIGHT: 0.6,
+  HAND_RADIUS: 0.3,
 };
 
 // Debug flags - set these to true to enable logging
@@ -32,6 +61,7 @@ const DEBUG = {
   PIT_CREATION: false,
   HOVER: false,
   HIGHLIGHTS: false,
+  ANIMATION: false,
 };
 
 function debugLog(category, ...args) {
@@ -41,12 +71,18 @@ function debugLog(category, ...args) {
 }
 
 // Material colors
-const COLORS = {
+export const COLORS = {
   PLAYER1: 0x6699cc,
   PLAYER2: 0xcc6666,
   MANCALA: 0x44aa88,
   STONE_BASE: 0xd4af37,
   HIGHLIGHT: 0xffffff,
+  BADGE_CAPTURE: "#cc4444",
+  BADGE_EXTRA_TURN: "#44aa88",
+  BADGE_GAME_OVER: "#bdb24f",
+  ANALYSIS_BEST: "#44aa88",
+  ANALYSIS_LOSING: "#cc4444",
+  ANALYSIS_OTHER: "#77756a",
 };
 
 // Glow shader
@@ -70,32 +106,76 @@ const glowFragmentShader = `
   }
 `;
 
+// Every glow of every board shares this material; each glow keeps its own
+// intensity and hands it to the shader just before it is drawn
+const glowMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    glowColor: { value: new THREE.Color(COLORS.HIGHLIGHT) },
+    intensity: { value: 0.0 }
+  },
+  vertexShader: glowVertexShader,
+  fragmentShader: glowFragmentShader,
+  transparent: true,
+  depthWrite: false,
+  blending: THREE.AdditiveBlending,
+  side: THREE.DoubleSide
+});
+
+function createGlowGeometry(radius, height) {
+  return new THREE.PlaneGeometry(radius * 3, height * 3);
+}
+
 /**
- * Creates a glow effect mesh for highlighting
+ * Creates a glow effect mesh for highlighting, hidden until `setGlow` lights it
+ * @param {THREE.BufferGeometry} geometry - Geometry from createGlowGeometry
  */
-function createHighlightMesh(radius, height) {
-  const geometry = new THREE.PlaneGeometry(radius * 3, height * 3);
-  const material = new THREE.ShaderMaterial({
-    uniforms: {
-      glowColor: { value: new THREE.Color(COLORS.HIGHLIGHT) },
-      intensity: { value: 0.0 }
-    },
-    vertexShader: glowVertexShader,
-    fragmentShader: glowFragmentShader,
-    transparent: true,
-    depthWrite: false,
-    blending: THREE.AdditiveBlending,
-    side: THREE.DoubleSide
-  });
-
-  const mesh = new THREE.Mesh(geometry, material);
+function createHighlightMesh(geometry) {
+  const mesh = new THREE.Mesh(geometry, glowMaterial);
+  mesh.intensity = 0;
   mesh.visible = false;
   mesh.renderOrder = 999; // Ensure it renders last
   mesh.rotation.x = Math.PI / 2; // Face the camera
   mesh.position.y = -0.25; // Position lower to avoid clipping through pit
+  mesh.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+    material.uniforms.intensity.value = mesh.intensity;
+    material.uniformsNeedUpdate = true;
+  };
   return mesh;
 }
 
+/**
+ * Lights a glow mesh, or hides it at zero intensity
+ */
+function setGlow(glow, intensity) {
+  glow.intensity = intensity;
+  glow.visible = intensity > 0;
+}
+
+// Hit volumes are raycast but never drawn
+const hitMaterial = new THREE.MeshBasicMaterial({ visible: false });
+
+/**
+ * Creates the invisible solid cylinder that picking rays are tested against.
+ * It covers the bowl and stones piled above it, so clicks on either count,
+ * and unlike the open bowl it has no gaps to look through.
+ * @param {THREE.BufferGeometry} geometry - Geometry from createHitGeometry
+ * @param {THREE.Object3D} pit - Pit or mancala the volume stands for
+ */
+function addHitVolume(geometry, pit) {
+  const volume = new THREE.Mesh(geometry, hitMaterial);
+  volume.pit = pit;
+  pit.add(volume);
+  pit.hitVolume = volume;
+  return volume;
+}
+
+function createHitGeometry(radius, height) {
+  const geometry = new THREE.CylinderGeometry(radius, radius, height * 2, 16);
+  // Bottom of the bowl up to a bowl's height above the rim
+  geometry.translate(0, height / 2, 0);
+  return geometry;
+}
+
 /**
  * Creates a bowl-shaped geometry for pits and mancalas
  */
@@ -113,7 +193,7 @@ function createBowlGeometry(radius, height, segments, sizeScale = 1) {
   const positions = geometry.attributes.position.array;
   for (let i = 0; i < positions.length; i += 3) {
     const normalizedY = -positions[i + 1] / (height * sizeScale) + 0.5;
-    const radiusScale = 1 - Math.pow(normalizedY, 5);
+    const radiusScale = bowlProfile(normalizedY);
     positions[i] *= radiusScale;
     positions[i + 2] *= radiusScale;
   }
@@ -122,115 +202,155 @@ function createBowlGeometry(radius, height, segments, sizeScale = 1) {
   return geometry;
 }
 
+// Every stone of every board is drawn with this geometry and material; the
+// colour of each stone comes from its instance
+const stoneGeometry = new THREE.SphereGeometry(
+  BOARD_CONSTANTS.STONE.RADIUS,
+  BOARD_CONSTANTS.STONE.SEGMENTS,
+  BOARD_CONSTANTS.STONE.SEGMENTS
+);
+const stoneMaterial = new THREE.MeshPhongMaterial({
+  color: 0xffffff,
+  shininess: 100,
+  specular: 0x444444,
+});
+
 /**
- * Creates a stone mesh
+ * Creates a stone with a random variation of the base colour
+ * @param {StoneField} stoneField
+ * @param {() => number} random - The board's seeded generator
  */
-function createStone() {
-  const geometry = new THREE.SphereGeometry(
-    BOARD_CONSTANTS.STONE.RADIUS,
-    BOARD_CONSTANTS.STONE.SEGMENTS,
-    BOARD_CONSTANTS.STONE.SEGMENTS
-  );
-  
+function createStone(stoneField, random) {
   // Create a random hue variation
   const baseColor = new THREE.Color(COLORS.STONE_BASE);
-  const hue = (baseColor.getHSL({}).h + (Math.random() * 0.1 - 0.05)) % 1;
+  const hue = (baseColor.getHSL({}).h + (random() * 0.1 - 0.05)) % 1;
   const color = new THREE.Color().setHSL(
     hue,
-    0.6 + Math.random() * 0.2,  // Saturation variation
-    0.5 + Math.random() * 0.1   // Lightness variation
+    0.6 + random() * 0.2,  // Saturation variation
+    0.5 + random() * 0.1   // Lightness variation
   );
 
-  const material = new THREE.MeshPhongMaterial({
-    color: color,
-    shininess: 100,
-    specular: 0x444444,
-  });
-  return new THREE.Mesh(geometry, material);
+  return stoneField.createStone(color);
 }
 
 /**
- * Creates a text label for stone count
+ * Creates the sprite showing a pit's stone count
  */
-function createCountLabel(count) {
-  const canvas = document.createElement("canvas");
-  const context = canvas.getContext("2d");
-  canvas.width = 64;
-  canvas.height = 64;
+function createCountLabel() {
+  const sprite = new THREE.Sprite(getLabelMaterial(0));
+  sprite.scale.set(0.5, 0.5, 1);
+  sprite.position.set(0, BOARD_CONSTANTS.TEXT.HEIGHT, -0.5);
+  sprite.visible = false;
+  return sprite;
+}
 
-  context.fillStyle = "white";
-  context.font = "bold 48px Arial";
-  context.textAlign = "center";
-  context.textBaseline = "middle";
-  context.fillText(count.toString(), 32, 32);
+// Badge textures are few and reused on every hover, so keep them around
+const badgeTextures = new Map();
 
-  const texture = new THREE.CanvasTexture(canvas);
-  const material = new THREE.SpriteMaterial({ map: texture });
-  const sprite = new THREE.Sprite(material);
-  sprite.scale.set(0.5, 0.5, 1);
+/**
+ * Creates a text badge shown over a pit when previewing a move
+ * @param {string} text
+ * @param {string} color - CSS colour of the badge
+ * @param {number} [width=256] - Width of the badge's texture; narrower
+ *   badges suit shorter text
+ */
+function createBadge(text, color, width = 256) {
+  const key = `${text}|${color}|${width}`;
+  if (!badgeTextures.has(key)) {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    canvas.width = width;
+    canvas.height = 64;
+
+    context.fillStyle = color;
+    context.beginPath();
+    context.roundRect(4, 4, width - 8, 56, 28);
+    context.fill();
+
+    context.fillStyle = "white";
+    context.font = "bold 32px Arial";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(text, width / 2, 34);
 
+    badgeTextures.set(key, new THREE.CanvasTexture(canvas));
+  }
+
+  const material = new THREE.SpriteMaterial({
+    map: badgeTextures.get(key),
+    depthTest: false,
+  });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(BOARD_CONSTANTS.BADGE.WIDTH, BOARD_CONSTANTS.BADGE.WIDTH / 4, 1);
+  sprite.position.set(0, BOARD_CONSTANTS.BADGE.HEIGHT, 0);
+  sprite.renderOrder = 1000;
   return sprite;
 }
 
 /**
- * Updates the visual representation of stones in a pit
+ * Shows the number of stones in a pit above it
  */
-function updatePitStones(pit, count, scene) {
-  // Store the highlight mesh if it exists
-  const highlightMesh = pit.glowMesh;
-  
-  // Remove existing stones and labels, but preserve the highlight
-  pit.children.forEach((child) => {
-    if (child !== highlightMesh) {  // Don't remove the highlight mesh
-      scene.remove(child);
-      child.geometry?.dispose();
-      child.material?.dispose();
-    }
+function updateCountLabel(pit) {
+  const count = pit.stones.length;
+  pit.countLabel.visible = count > 0;
+  pit.countLabel.material = getLabelMaterial(count);
+}
+
+/**
+ * Takes stones out of a pit, most recently placed first. The stones keep
+ * showing where they were until they are placed or hidden.
+ * @returns {Array<Object>} The stones
+ */
+function takeStones(pit, count = pit.stones.length) {
+  const taken = pit.stones.splice(pit.stones.length - count, count);
+  updateCountLabel(pit);
+  return taken;
+}
+
+/**
+ * Drops stones into a pit and lets them settle in its bowl. Stones already
+ * in the pit stay where they are.
+ *
+ * The layout is seeded by the game's seed, the pit and how full it is, so the
+ * same position always shows the same piles.
+ */
+function placeStones(stoneField, pit, stones) {
+  const stonePositions = distributeStones({
+    bowlRadius: pit.bowl.radius,
+    bowlHeight: pit.bowl.height,
+    stoneRadius: BOARD_CONSTANTS.STONE.RADIUS,
+    stoneCount: stones.length,
+    occupied: pit.stones.map((stone) => stone.offset),
+    seed: hashString(`${pit.layoutSeed}:${pit.stones.length}`),
   });
-  
-  // Clear children array and re-add highlight if it exists
-  pit.children.length = 0;
-  if (highlightMesh) {
-    pit.add(highlightMesh);
-  }
 
-  if (count > 0) {
-    // Add count label
-    const label = createCountLabel(count);
-    label.position.set(0, BOARD_CONSTANTS.TEXT.HEIGHT, -0.5);
-    pit.add(label);
-
-    // Get stone positions
-    const stonePositions = distributeStones({
-      pitCenter: { 
-        x: 0, 
-        y: -BOARD_CONSTANTS.PIT.HEIGHT / 2 + BOARD_CONSTANTS.STONE.HEIGHT, 
-        z: 0 
-      },
-      pitRadius: BOARD_CONSTANTS.PIT.RADIUS * 0.8,
-      stoneRadius: BOARD_CONSTANTS.STONE.RADIUS,
-      stoneCount: count,
-      maxAttempts: 50,
-    });
+  stones.forEach((stone, i) => {
+    stoneField.place(stone, pit, stonePositions[i]);
+    pit.stones.push(stone);
+  });
+  updateCountLabel(pit);
+}
 
-    // Create and position stones
-    stonePositions.forEach((pos) => {
-      const stone = createStone();
-      stone.position.set(pos.x, pos.y, pos.z);
-      pit.add(stone);
-    });
-  }
+/**
+ * Gives a new pit its count label and freshly made stones
+ */
+function fillPit(stoneField, pit, count, random) {
+  pit.stones = [];
+  pit.countLabel = createCountLabel();
+  pit.add(pit.countLabel);
+  placeStones(stoneField, pit, Array.from({ length: count }, () => createStone(stoneField, random)));
 }
 
 /**
- * Creates a pit mesh with the specified material
+ * Creates a pit. Its bowl is drawn by its player's instanced mesh, so the pit
+ * itself only places its glow, label, hit volume and stones.
  */
-function createPitMesh(geometry, material) {
-  const pit = new THREE.Mesh(geometry, material);
+function createPit(glowGeometry) {
+  const pit = new THREE.Object3D();
   pit.rotation.y = Math.PI / 2;
 
   // Add highlight effect
-  const highlight = createHighlightMesh(BOARD_CONSTANTS.PIT.RADIUS, BOARD_CONSTANTS.PIT.HEIGHT);
+  const highlight = createHighlightMesh(glowGeometry);
   // Position the highlight to be centered on the pit
   highlight.position.set(0, 0, 0);
   pit.add(highlight);
@@ -240,83 +360,140 @@ function createPitMesh(geometry, material) {
 }
 
 /**
- * Creates a row of pits for a player
+ * Lays out a pit of player 1's grid on the board plane
+ *
+ * Even axes run along z like the classic row and odd axes step away from the
+ * centre line along x. Inner axes place single pits and outer axes tile whole
+ * blocks with a gap between them, so the first axis (the slowest one in the
+ * sowing order) always runs towards the player's mancala.
+ * @returns {{x: number, z: number}} Offsets before centring; x grows away from the centre line
+ */
+function layoutPitOffset(coords, pocketsPerSide) {
+  let x = 0;
+  let z = 0;
+  let xStep = BOARD_CONSTANTS.SPACING.PIT;
+  let zStep = BOARD_CONSTANTS.SPACING.PIT;
+
+  for (let axis = coords.length - 1; axis >= 0; axis--) {
+    const c = coords[axis];
+    if (axis % 2 === 0) {
+      z += c * zStep;
+      zStep = zStep * pocketsPerSide + BOARD_CONSTANTS.SPACING.BLOCK;
+    } else {
+      x += c * xStep;
+      xStep = xStep * pocketsPerSide + BOARD_CONSTANTS.SPACING.BLOCK;
+    }
+  }
+
+  return { x, z };
+}
+
+/**
+ * Computes the extent of a player's grid of pits
+ */
+function getGridExtent(gameState) {
+  const farCorner = gameState.pitShape.map((size) => size - 1);
+  return layoutPitOffset(farCorner, gameState.pocketsPerSide);
+}
+
+/**
+ * Computes the board position of a pit
+ *
+ * Player 2's grid mirrors player 1's across the centre line so that every pit
+ * faces the pit `getOppositeCoords` pairs it with.
+ */
+function getPitPosition(gameState, player, coords) {
+  const extent = getGridExtent(gameState);
+  const ownCoords = player === 1 ? coords : gameState.getOppositeCoords(coords);
+  const offset = layoutPitOffset(ownCoords, gameState.pocketsPerSide);
+  const x = BOARD_CONSTANTS.SPACING.ROW + offset.x;
+  const z = offset.z - extent.z / 2;
+  return player === 1 ? { x: -x, z } : { x, z };
+}
+
+/**
+ * Creates the grid of pits for a player, in sowing order, with their bowls
+ * drawn as one instanced mesh
+ * @returns {{pits: Array<THREE.Object3D>, bowls: THREE.InstancedMesh}}
  */
-function createPlayerPits(gameState, isPlayer1, geometry, material, scene) {
+function createPlayerPits(gameState, isPlayer1, geometry, hitGeometry, glowGeometry, material, scene, stoneField, random) {
   const pits = [];
-  const pitsPerPlayer = gameState.pocketsPerSide;
-  const rowPosition = isPlayer1 ? -BOARD_CONSTANTS.SPACING.ROW : BOARD_CONSTANTS.SPACING.ROW;
-
-  for (let i = 0; i < pitsPerPlayer; i++) {
-    const pit = createPitMesh(geometry, material);
-    const zOffset = isPlayer1 ? 
-      (i - (pitsPerPlayer - 1) / 2) * BOARD_CONSTANTS.SPACING.PIT :
-      ((pitsPerPlayer - 1) / 2 - i) * BOARD_CONSTANTS.SPACING.PIT;
+  const player = isPlayer1 ? 1 : 2;
+  const bowls = new THREE.InstancedMesh(geometry, material, gameState.getPitCount());
+
+  gameState.getPitCoordinates().forEach((coords, i) => {
+    const pit = createPit(glowGeometry);
+    const { x, z } = getPitPosition(gameState, player, coords);
     
-    pit.position.set(rowPosition, 0, zOffset);
+    pit.position.set(x, 0, z);
+    pit.updateMatrix();
+    bowls.setMatrixAt(i, pit.matrix);
+    pit.player = player;
+    pit.coords = coords;
+    pit.bowl = { radius: BOARD_CONSTANTS.PIT.RADIUS, height: BOARD_CONSTANTS.PIT.HEIGHT };
+    pit.layoutSeed = hashString(`${gameState.seed}:${player}:${coords.join(".")}`);
+    addHitVolume(hitGeometry, pit);
     scene.add(pit);
     
-    // Create bounding box with explicit dimensions
-    const radius = BOARD_CONSTANTS.PIT.RADIUS;
-    const height = BOARD_CONSTANTS.PIT.HEIGHT;
-    pit.boundingBox = new THREE.Box3(
-      new THREE.Vector3(
-        pit.position.x - radius,
-        pit.position.y - height/2,
-        pit.position.z - radius
-      ),
-      new THREE.Vector3(
-        pit.position.x + radius,
-        pit.position.y + height/2,
-        pit.position.z + radius
-      )
-    );
-    // Make click area slightly larger
-    pit.boundingBox.expandByScalar(0.2);
-    
-    debugLog('PIT_CREATION', 'Created pit with bounding box:', pit.boundingBox);
-    
+    debugLog('PIT_CREATION', 'Created pit at', pit.position);
+
     pits.push(pit);
 
-    const stoneCount = gameState.getStonesAt(isPlayer1 ? 1 : 2, i);
-    updatePitStones(pit, stoneCount, scene);
-  }
+    fillPit(stoneField, pit, gameState.getStonesAt(player, coords), random);
+  });
+  scene.add(bowls);
 
-  return pits;
+  return { pits, bowls };
 }
 
 /**
  * Creates a mancala pit for a player
  */
-function createMancala(gameState, isPlayer1, geometry, material, scene) {
+function createMancala(gameState, isPlayer1, geometry, hitGeometry, glowGeometry, material, scene, stoneField, random) {
   const mancala = new THREE.Mesh(geometry, material);
   mancala.rotation.y = Math.PI / 2;
-  const rowPosition = isPlayer1 ? -BOARD_CONSTANTS.SPACING.ROW : BOARD_CONSTANTS.SPACING.ROW;
-  const zOffset = (gameState.pocketsPerSide * BOARD_CONSTANTS.SPACING.PIT) / 2 + BOARD_CONSTANTS.MANCALA.OFFSET;
+  const extent = getGridExtent(gameState);
+  const rowPosition = BOARD_CONSTANTS.SPACING.ROW + extent.x / 2;
+  const zOffset = (extent.z + BOARD_CONSTANTS.SPACING.PIT) / 2 + BOARD_CONSTANTS.MANCALA.OFFSET;
+  // Each mancala sits where its owner's sowing leaves their pits
+  const clockwise = gameState.rules.direction === SOWING_DIRECTIONS.CLOCKWISE;
+  const towardsPositiveZ = isPlayer1 !== clockwise;
   
   mancala.position.set(
-    rowPosition,
+    isPlayer1 ? -rowPosition : rowPosition,
     0,
-    isPlayer1 ? zOffset : -zOffset
+    towardsPositiveZ ? zOffset : -zOffset
   );
   scene.add(mancala);
 
   // Add highlight effect
-  const highlight = createHighlightMesh(
-    BOARD_CONSTANTS.PIT.RADIUS * BOARD_CONSTANTS.MANCALA.SCALE,
-    BOARD_CONSTANTS.PIT.HEIGHT * BOARD_CONSTANTS.MANCALA.SCALE
-  );
+  const highlight = createHighlightMesh(glowGeometry);
   // Position the highlight to be centered on the mancala
   highlight.position.set(0, 0, 0);
   mancala.add(highlight);
   mancala.glowMesh = highlight;
+  mancala.player = isPlayer1 ? 1 : 2;
+  mancala.bowl = {
+    radius: BOARD_CONSTANTS.PIT.RADIUS * BOARD_CONSTANTS.MANCALA.SCALE,
+    height: BOARD_CONSTANTS.PIT.HEIGHT * BOARD_CONSTANTS.MANCALA.SCALE,
+  };
+  mancala.layoutSeed = hashString(`${gameState.seed}:${mancala.player}:store`);
+  addHitVolume(hitGeometry, mancala);
   
-  const stoneCount = gameState.mancalas[`player${isPlayer1 ? 1 : 2}`];
-  updatePitStones(mancala, stoneCount, scene);
+  fillPit(stoneField, mancala, gameState.mancalas[`player${isPlayer1 ? 1 : 2}`], random);
   
   return mancala;
 }
 
+/**
+ * Finds the pit mesh for a player's pit coordinates
+ */
+export function findPit(visualElements, player, coords) {
+  const pits = player === 1 ? visualElements.player1Pits : visualElements.player2Pits;
+  const key = coords.join(",");
+  return pits.find((pit) => pit.coords.join(",") === key);
+}
+
 /**
  * Creates a visual representation of the mancala board
  */
@@ -333,6 +510,16 @@ export function renderBoard(gameState, scene) {
     BOARD_CONSTANTS.PIT.SEGMENTS,
     BOARD_CONSTANTS.MANCALA.SCALE
   );
+  const pitHitGeometry = createHitGeometry(BOARD_CONSTANTS.PIT.RADIUS, BOARD_CONSTANTS.PIT.HEIGHT);
+  const mancalaHitGeometry = createHitGeometry(
+    BOARD_CONSTANTS.PIT.RADIUS * BOARD_CONSTANTS.MANCALA.SCALE,
+    BOARD_CONSTANTS.PIT.HEIGHT * BOARD_CONSTANTS.MANCALA.SCALE
+  );
+  const pitGlowGeometry = createGlowGeometry(BOARD_CONSTANTS.PIT.RADIUS, BOARD_CONSTANTS.PIT.HEIGHT);
+  const mancalaGlowGeometry = createGlowGeometry(
+    BOARD_CONSTANTS.PIT.RADIUS * BOARD_CONSTANTS.MANCALA.SCALE,
+    BOARD_CONSTANTS.PIT.HEIGHT * BOARD_CONSTANTS.MANCALA.SCALE
+  );
 
   // Create materials
   const materials = {
@@ -350,34 +537,148 @@ export function renderBoard(gameState, scene) {
     }),
   };
 
+  // All stones are drawn together; start with room for the stones in play
+  const totalStones = gameState.getStonesOnSide(1) + gameState.getStonesOnSide(2) +
+    gameState.mancalas.player1 + gameState.mancalas.player2;
+  const stoneField = new StoneField(stoneGeometry, stoneMaterial, scene, totalStones);
+  // Stone colours come from the game's seed, so a seed and a move list always
+  // look the same
+  const random = createRandom(hashString(`${gameState.seed}:stones`));
+
   // Create visual elements
+  const player1 = createPlayerPits(gameState, true, pitGeometry, pitHitGeometry, pitGlowGeometry, materials.player1, scene, stoneField, random);
+  const player2 = createPlayerPits(gameState, false, pitGeometry, pitHitGeometry, pitGlowGeometry, materials.player2, scene, stoneField, random);
   const visualElements = {
-    player1Pits: createPlayerPits(gameState, true, pitGeometry, materials.player1, scene),
-    player2Pits: createPlayerPits(gameState, false, pitGeometry, materials.player2, scene),
-    player1Mancala: createMancala(gameState, true, mancalaGeometry, materials.mancala, scene),
-    player2Mancala: createMancala(gameState, false, mancalaGeometry, materials.mancala, scene),
+    player1Pits: player1.pits,
+    player2Pits: player2.pits,
+    // One draw call per player for all of their pits' bowls
+    pitBowls: [player1.bowls, player2.bowls],
+    player1Mancala: createMancala(gameState, true, mancalaGeometry, mancalaHitGeometry, mancalaGlowGeometry, materials.mancala, scene, stoneField, random),
+    player2Mancala: createMancala(gameState, false, mancalaGeometry, mancalaHitGeometry, mancalaGlowGeometry, materials.mancala, scene, stoneField, random),
+    stoneField,
+    random,
+    previewBadges: [],
+    // Move evaluations shown by showAnalysis
+    analysisLabels: [],
+    // Pulsing hint glow, see pulseHint
+    hint: null,
+    // Stones taken out of pits by updateBoard, waiting to be placed elsewhere
+    looseStones: [],
+    // Marker for keyboard play, made when first needed
+    focusRing: null,
   };
 
   return visualElements;
 }
 
+/**
+ * Removes a board created by renderBoard from the scene and frees its GPU resources
+ */
+export function disposeBoard(visualElements, scene) {
+  clearPreviewBadges(visualElements);
+  clearAnalysis(visualElements);
+  stopHint(visualElements);
+  if (visualElements.focusRing) {
+    scene.remove(visualElements.focusRing);
+    visualElements.focusRing.geometry.dispose();
+    visualElements.focusRing.material.dispose();
+  }
+  visualElements.looseStones.length = 0;
+  visualElements.stoneField.dispose();
+  visualElements.pitBowls.forEach((bowls) => {
+    scene.remove(bowls);
+    bowls.geometry.dispose();
+    bowls.material.dispose();
+    bowls.dispose();
+  });
+
+  getAllPits(visualElements).forEach((mesh) => {
+    scene.remove(mesh);
+    mesh.traverse((object) => {
+      object.geometry?.dispose();
+      // Label, hit and glow materials are shared by every board
+      if (object.material && object.material !== hitMaterial && object.material !== glowMaterial &&
+          !object.material.userData.cached) {
+        object.material.map?.dispose();
+        object.material.dispose();
+      }
+    });
+  });
+}
+
+/**
+ * Gets every pit and mancala mesh of a board
+ */
+function getAllPits(visualElements) {
+  return [
+    ...visualElements.player1Pits,
+    ...visualElements.player2Pits,
+    visualElements.player1Mancala,
+    visualElements.player2Mancala,
+  ];
+}
+
+/**
+ * Finds the pit or mancala a picking ray hits first
+ * @param {Object} visualElements - Board created by renderBoard
+ * @param {THREE.Raycaster} raycaster - Raycaster set up for the pointer
+ * @returns {THREE.Mesh|null} The pit or mancala, which has `player` set and
+ *   `coords` only for pits
+ */
+export function pickPit(visualElements, raycaster) {
+  const volumes = getAllPits(visualElements).map((pit) => pit.hitVolume);
+  // Intersections come back nearest first
+  const [hit] = raycaster.intersectObjects(volumes, false);
+  return hit ? hit.object.pit : null;
+}
+
+/**
+ * Computes the box enclosing every pit and mancala, e.g. to frame the camera
+ * @returns {THREE.Box3}
+ */
+export function getBoardBounds(visualElements) {
+  const bounds = new THREE.Box3();
+  getAllPits(visualElements).forEach((pit) => bounds.expandByObject(pit));
+  // Leave room for stones piled above the rims and the count labels
+  bounds.max.y += BOARD_CONSTANTS.TEXT.HEIGHT;
+  return bounds;
+}
+
 /**
  * Updates the visual state of the board
+ *
+ * Stones are moved rather than rebuilt: pits with too many stones give up
+ * their most recent ones, and pits with too few take those before any new
+ * stone is made. Stones in pits whose count is unchanged are not touched.
  */
 export function updateBoard(visualElements, gameState, scene) {
-  // Update Player 1's pits
-  visualElements.player1Pits.forEach((pit, i) => {
-    updatePitStones(pit, gameState.getStonesAt(1, i), scene);
+  const targets = getAllPits(visualElements).map((pit) => [
+    pit,
+    pit.coords
+      ? gameState.getStonesAt(pit.player, pit.coords)
+      : gameState.mancalas[`player${pit.player}`],
+  ]);
+  const looseStones = visualElements.looseStones;
+
+  const stoneField = visualElements.stoneField;
+
+  targets.forEach(([pit, count]) => {
+    if (pit.stones.length > count) {
+      looseStones.push(...takeStones(pit, pit.stones.length - count));
+    }
   });
 
-  // Update Player 2's pits
-  visualElements.player2Pits.forEach((pit, i) => {
-    updatePitStones(pit, gameState.getStonesAt(2, i), scene);
+  targets.forEach(([pit, count]) => {
+    const missing = count - pit.stones.length;
+    if (missing > 0) {
+      const reused = looseStones.splice(0, missing);
+      const created = Array.from({ length: missing - reused.length }, () => createStone(stoneField, visualElements.random));
+      placeStones(stoneField, pit, [...reused, ...created]);
+    }
   });
 
-  // Update mancalas
-  updatePitStones(visualElements.player1Mancala, gameState.mancalas.player1, scene);
-  updatePitStones(visualElements.player2Mancala, gameState.mancalas.player2, scene);
+  // Whatever is left over waits off the board for a later update
+  looseStones.forEach((stone) => stoneField.hide(stone));
 }
 
 /**
@@ -385,18 +686,7 @@ export function updateBoard(visualElements, gameState, scene) {
  */
 export function highlightMoveSequence(visualElements, sequence) {
   // Reset all highlights first
-  [...visualElements.player1Pits, ...visualElements.player2Pits].forEach(pit => {
-    if (pit.glowMesh) {
-      pit.glowMesh.visible = false;
-      pit.glowMesh.material.uniforms.intensity.value = 0.0;
-    }
-  });
-  [visualElements.player1Mancala, visualElements.player2Mancala].forEach(mancala => {
-    if (mancala.glowMesh) {
-      mancala.glowMesh.visible = false;
-      mancala.glowMesh.material.uniforms.intensity.value = 0.0;
-    }
-  });
+  getAllPits(visualElements).forEach((pit) => setGlow(pit.glowMesh, 0));
 
   // Apply new highlights
   sequence.forEach((pos, index) => {
@@ -404,35 +694,339 @@ export function highlightMoveSequence(visualElements, sequence) {
     
     if (pos.isMancala) {
       const mancala = pos.player === 1 ? visualElements.player1Mancala : visualElements.player2Mancala;
-      if (mancala.glowMesh) {
-        mancala.glowMesh.visible = true;
-        mancala.glowMesh.material.uniforms.intensity.value = intensity;
-      }
+      setGlow(mancala.glowMesh, intensity);
     } else {
-      const pits = pos.player === 1 ? visualElements.player1Pits : visualElements.player2Pits;
-      const pit = pits[pos.position];
-      if (pit && pit.glowMesh) {
-        pit.glowMesh.visible = true;
-        pit.glowMesh.material.uniforms.intensity.value = intensity;
+      const pit = findPit(visualElements, pos.player, pos.position);
+      if (pit) {
+        setGlow(pit.glowMesh, intensity);
       }
     }
   });
 }
 
+/**
+ * Previews the full outcome of a move: the sowing path plus badges for
+ * captures, an extra turn and the end of the game
+ * @param {Object} visualElements - Board created by renderBoard
+ * @param {MoveResult} outcome - Result of `GameState.simulateMove`
+ */
+export function highlightMoveOutcome(visualElements, outcome) {
+  clearPreviewBadges(visualElements);
+  highlightMoveSequence(visualElements, outcome.path);
+
+  const addBadge = (mesh, text, color) => {
+    const badge = createBadge(text, color);
+    mesh.add(badge);
+    visualElements.previewBadges.push(badge);
+  };
+  const moverMancala = outcome.player === 1
+    ? visualElements.player1Mancala
+    : visualElements.player2Mancala;
+
+  outcome.captures
+    .filter((pit) => pit.player !== outcome.player)
+    .forEach((pit) => {
+      addBadge(
+        findPit(visualElements, pit.player, pit.coords),
+        `Capture +${outcome.captured}`,
+        COLORS.BADGE_CAPTURE
+      );
+    });
+  if (outcome.extraTurn) {
+    addBadge(moverMancala, "Extra turn", COLORS.BADGE_EXTRA_TURN);
+  }
+  if (outcome.gameOver) {
+    addBadge(moverMancala, "Game over", COLORS.BADGE_GAME_OVER);
+  }
+}
+
+/**
+ * Removes the badges added by highlightMoveOutcome
+ */
+function clearPreviewBadges(visualElements) {
+  visualElements.previewBadges.forEach((badge) => {
+    badge.removeFromParent();
+    badge.material.dispose();
+  });
+  visualElements.previewBadges.length = 0;
+}
+
+/**
+ * Labels pits with how good sowing them is, replacing any earlier labels
+ * @param {Object} visualElements - Board created by renderBoard
+ * @param {Array<{player: number, coords: Array<number>, text: string, color: string}>} labels
+ */
+export function showAnalysis(visualElements, labels) {
+  clearAnalysis(visualElements);
+  const { WIDTH, HEIGHT } = BOARD_CONSTANTS.ANALYSIS;
+  labels.forEach(({ player, coords, text, color }) => {
+    const label = createBadge(text, color, 128);
+    label.scale.set(WIDTH, WIDTH / 2, 1);
+    label.position.set(0, HEIGHT, 0);
+    findPit(visualElements, player, coords).add(label);
+    visualElements.analysisLabels.push(label);
+  });
+}
+
+/**
+ * Removes the labels added by showAnalysis
+ */
+export function clearAnalysis(visualElements) {
+  visualElements.analysisLabels.forEach((label) => {
+    label.removeFromParent();
+    label.material.dispose();
+  });
+  visualElements.analysisLabels.length = 0;
+}
+
+/**
+ * Pulses a pit's glow a few times to point it out. The pulse drives the glow
+ * itself every frame, so hover previews clearing the highlights don't cut it
+ * short.
+ * @param {Object} visualElements - Board created by renderBoard
+ * @param {THREE.Object3D} pit - Pit to point out
+ */
+export function pulseHint(visualElements, pit) {
+  stopHint(visualElements);
+  const glow = pit.glowMesh;
+  const duration = HINT.PULSES * HINT.PULSE_MS;
+  const start = performance.now();
+  const hint = { glow, frame: null };
+
+  const frame = (now) => {
+    const elapsed = now - start;
+    if (elapsed >= duration) {
+      stopHint(visualElements);
+      return;
+    }
+    // Fades in and out once per pulse
+    const phase = (elapsed % HINT.PULSE_MS) / HINT.PULSE_MS;
+    setGlow(glow, Math.sin(phase * Math.PI) * 0.9);
+    hint.frame = requestAnimationFrame(frame);
+  };
+  hint.frame = requestAnimationFrame(frame);
+  visualElements.hint = hint;
+}
+
+/**
+ * Ends a hint pulse early
+ */
+export function stopHint(visualElements) {
+  const hint = visualElements.hint;
+  if (!hint) return;
+  cancelAnimationFrame(hint.frame);
+  setGlow(hint.glow, 0);
+  visualElements.hint = null;
+}
+
+/**
+ * Rings the pit the keyboard cursor is on
+ * @param {Object} visualElements - Board created by renderBoard
+ * @param {THREE.Mesh|null} pit - Pit to ring, or null to hide the ring
+ * @param {THREE.Scene} scene
+ */
+export function showFocusRing(visualElements, pit, scene) {
+  if (!visualElements.focusRing) {
+    const radius = BOARD_CONSTANTS.PIT.RADIUS;
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(radius * 1.05, radius * 1.25, BOARD_CONSTANTS.PIT.SEGMENTS),
+      new THREE.MeshBasicMaterial({ color: COLORS.HIGHLIGHT, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    scene.add(ring);
+    visualElements.focusRing = ring;
+  }
+
+  const ring = visualElements.focusRing;
+  ring.visible = pit !== null;
+  if (pit) {
+    ring.position.copy(pit.position);
+    ring.position.y += BOARD_CONSTANTS.PIT.HEIGHT / 2 + 0.01;
+  }
+}
+
 /**
  * Clears all highlights from the board
  */
 export function clearHighlights(visualElements) {
+  clearPreviewBadges(visualElements);
   highlightMoveSequence(visualElements, []);
 }
 
 /**
- * Handles visual animations when a move is performed
+ * Gathers stones into a cluster that is carried between pits during an
+ * animation. The hand is an anchor like a pit, so moving it moves its stones.
+ */
+function createHand(stoneField, stones, position) {
+  const hand = new THREE.Object3D();
+  hand.position.copy(position);
+  hand.stones = stones;
+  distributeStones({
+    bowlRadius: ANIMATION.HAND_RADIUS,
+    bowlHeight: ANIMATION.HAND_RADIUS,
+    stoneRadius: BOARD_CONSTANTS.STONE.RADIUS,
+    stoneCount: stones.length,
+    seed: stones.length,
+  }).forEach((pos, i) => {
+    stoneField.place(stones[i], hand, pos);
+  });
+  return hand;
+}
+
+/**
+ * Takes stones out of a hand, most recently picked first
+ * @returns {Array<Object>} The stones
+ */
+function takeFromHand(hand, count = hand.stones.length) {
+  return hand.stones.splice(hand.stones.length - count, count);
+}
+
+/**
+ * Animates the visual effects of a move: the stones leave their pit and are
+ * sown one by one along the path, captured stones fly to the mover's mancala,
+ * and an extra turn ends with a short pause.
+ * @param {Object} visualElements - Board created by renderBoard
+ * @param {MoveResult} outcome - Result of `simulateMove` on the position the board shows
+ * @param {THREE.Scene} scene
+ * @param {Object} [options={}]
+ * @param {number} [options.speed=1] - Playback speed multiplier
+ * @returns {{finished: Promise<void>, skip: function(): void}} Handle to wait for or skip the animation; skipping shows the final board at once
  */
-export function animateMove(visualElements, gameState, scene) {
-  // For now, just clear highlights
+export function animateMove(visualElements, outcome, scene, options = {}) {
+  const speed = options.speed ?? 1;
+  const stoneField = visualElements.stoneField;
+  const hands = new Set();
+  let skipped = false;
+  let done = false;
+  let resolveFinished;
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+
   clearHighlights(visualElements);
-  
-  // Update the board visuals
-  updateBoard(visualElements, gameState, scene);
+
+  const complete = () => {
+    done = true;
+    // Stones still in the air are handed to updateBoard to put away
+    hands.forEach((hand) => visualElements.looseStones.push(...takeFromHand(hand)));
+    updateBoard(visualElements, outcome.state, scene);
+    resolveFinished();
+  };
+
+  // Resolves after a number of (speed-adjusted) milliseconds, calling onFrame
+  // with the progress from 0 to 1. Resolves early once skipped; rejects if
+  // onFrame throws, since nothing else would hear of it inside a frame.
+  const tween = (duration, onFrame = () => {}) =>
+    new Promise((resolve, reject) => {
+      const start = performance.now();
+      const frame = (now) => {
+        if (skipped) return resolve();
+        const t = Math.min((now - start) / (duration / speed), 1);
+        try {
+          onFrame(t);
+        } catch (error) {
+          return reject(error);
+        }
+        if (t < 1) {
+          requestAnimationFrame(frame);
+        } else {
+          resolve();
+        }
+      };
+      requestAnimationFrame(frame);
+    });
+
+  const mancalaOf = (player) =>
+    player === 1 ? visualElements.player1Mancala : visualElements.player2Mancala;
+  const meshAt = (player, coords) =>
+    coords ? findPit(visualElements, player, coords) : mancalaOf(player);
+
+  // Picks up all stones in a pit into a hand held just above it
+  const pickUp = async (mesh) => {
+    const hand = createHand(stoneField, takeStones(mesh), mesh.position);
+    hands.add(hand);
+    await tween(ANIMATION.LIFT_MS, (t) => {
+      hand.position.y = mesh.position.y + t * ANIMATION.LIFT_HEIGHT;
+      stoneField.updateAnchor(hand);
+    });
+    return hand;
+  };
+
+  // Drops stones from a hand into a pit
+  const drop = (hand, mesh, count) => {
+    placeStones(stoneField, mesh, takeFromHand(hand, count));
+    if (hand.stones.length === 0) {
+      hands.delete(hand);
+    }
+  };
+
+  // Moves a hand in an arc from its position to above a pit
+  const hop = (hand, mesh, duration) => {
+    const from = hand.position.clone();
+    const to = mesh.position.clone();
+    to.y += ANIMATION.LIFT_HEIGHT;
+    return tween(duration, (t) => {
+      hand.position.lerpVectors(from, to, t);
+      hand.position.y += Math.sin(Math.PI * t) * ANIMATION.ARC_HEIGHT;
+      stoneField.updateAnchor(hand);
+    });
+  };
+
+  const run = async () => {
+    let hand = await pickUp(meshAt(outcome.player, outcome.coords));
+
+    for (const [index, step] of outcome.path.entries()) {
+      if (skipped) return;
+      const target = meshAt(step.player, step.position);
+      await hop(hand, target, ANIMATION.HOP_MS);
+      if (skipped) return;
+      drop(hand, target, 1);
+
+      // Relay sowing carries on with the stones of the pit it ended in
+      if (hand.stones.length === 0 && index < outcome.path.length - 1) {
+        hand = await pickUp(target);
+      }
+    }
+
+    // Captured, then swept, stones fly to their mancala together
+    const flyToMancalas = async (pits) => {
+      if (skipped || pits.length === 0) return;
+      const groups = await Promise.all(pits.map(({ mesh }) => pickUp(mesh)));
+      if (skipped) return;
+      await Promise.all(groups.map((group, i) => hop(group, mancalaOf(pits[i].player), ANIMATION.CAPTURE_MS)));
+      if (skipped) return;
+      groups.forEach((group, i) => drop(group, mancalaOf(pits[i].player)));
+    };
+
+    await flyToMancalas(outcome.captures.map((pit) => ({
+      mesh: meshAt(pit.player, pit.coords),
+      player: outcome.player,
+    })));
+
+    if (outcome.swept) {
+      await flyToMancalas([...visualElements.player1Pits, ...visualElements.player2Pits]
+        .filter((mesh) => mesh.stones.length > 0)
+        .map((mesh) => ({ mesh, player: mesh.player })));
+    }
+
+    if (outcome.extraTurn) {
+      await tween(ANIMATION.EXTRA_TURN_PAUSE_MS);
+    }
+  };
+
+  run()
+    // A failure part way still finishes the move, as skipping does
+    .catch((error) => debugLog('ANIMATION', 'Move animation failed:', error))
+    .then(() => {
+      if (!done) complete();
+    });
+
+  return {
+    finished,
+    skip() {
+      if (done) return;
+      skipped = true;
+      complete();
+    },
+  };
 }
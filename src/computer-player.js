@@ -0,0 +1,107 @@
+/**
+ * Main-thread handle on the AI worker
+ *
+ * A worker that fails is not restarted until the next request, so a worker
+ * script that cannot load fails each request once rather than restarting
+ * without end.
+ */
+export class ComputerPlayer {
+  constructor() {
+    this.nextRequestId = 0;
+    this.pending = new Map();
+    // Endgame table the worker searches with, kept to hand to a restarted worker
+    this.endgameBytes = null;
+    this.startWorker();
+  }
+
+  startWorker() {
+    this.worker = new Worker(new URL("./ai-worker.js", import.meta.url), {
+      type: "module",
+    });
+    this.worker.onmessage = (event) => {
+      const { id, result } = event.data;
+      const request = this.pending.get(id);
+      if (request) {
+        this.pending.delete(id);
+        request.resolve(result);
+      }
+    };
+    // An exception in the worker would otherwise leave its requests waiting forever
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(new Error(`The AI worker failed: ${event.message ?? "could not start"}`));
+    };
+    this.worker.onmessageerror = () => {
+      this.fail(new Error("The AI worker sent a message that could not be read"));
+    };
+    if (this.endgameBytes) {
+      this.worker.postMessage({ task: "endgame", bytes: this.endgameBytes });
+    }
+  }
+
+  /**
+   * Has the worker look positions up in an endgame table, see endgame.js
+   * @param {ArrayBuffer|null} bytes - Table as written by `EndgameTable.toBytes`, or null for none
+   */
+  useEndgameTable(bytes) {
+    this.endgameBytes = bytes;
+    this.worker?.postMessage({ task: "endgame", bytes });
+  }
+
+  /**
+   * Asks the worker for a move
+   * @param {GameState} gameState - Position to move from
+   * @param {string} difficulty - Difficulty level (easy, medium or hard)
+   * @returns {Promise<Array<number>|null>} Coordinates of the chosen pit, or
+   *   null if cancelled; rejects if the worker fails
+   */
+  requestMove(gameState, difficulty) {
+    return this.request("move", gameState, { difficulty });
+  }
+
+  /**
+   * Asks the worker to score every legal move, see `analyzeMoves` in ai.js
+   * @param {GameState} gameState - Position to analyse
+   * @returns {Promise<Array<{coords: Array<number>, value: number}>|null>}
+   *   Null if cancelled; rejects if the worker fails
+   */
+  requestAnalysis(gameState) {
+    return this.request("analysis", gameState);
+  }
+
+  request(task, gameState, options = {}) {
+    if (!this.worker) {
+      this.startWorker();
+    }
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, task, snapshot: gameState.toSnapshot(), ...options });
+    });
+  }
+
+  /**
+   * Rejects every pending request and drops the worker; the next request
+   * starts a fresh one
+   * @param {Error} error
+   */
+  fail(error) {
+    const requests = [...this.pending.values()];
+    this.pending.clear();
+    this.worker.terminate();
+    this.worker = null;
+    requests.forEach(({ reject }) => reject(error));
+  }
+
+  /**
+   * Abandons any search in progress. Pending requests resolve with null.
+   */
+  cancel() {
+    if (this.pending.size === 0) return;
+    const requests = [...this.pending.values()];
+    this.pending.clear();
+    this.worker.terminate();
+    this.startWorker();
+    requests.forEach(({ resolve }) => resolve(null));
+  }
+}
@@ -1,75 +1,266 @@
+import { createRandom } from "./random.js";
+
+// Settling simulation tuning. Distances are in stone radii.
+const SETTLE = {
+  FALL_STEP: 0.25,
+  MAX_STEPS: 200,
+  RELAX_ITERATIONS: 4,
+  REST_DISTANCE: 0.01,
+  REST_STEPS: 3,
+  DROP_HEIGHT: 2,
+  WALL_SAMPLES: 8,
+};
+
+/**
+ * Radius of a bowl at a depth, as a fraction of its rim radius. Shared with
+ * the bowl geometry so stones rest against the surface that is drawn.
+ * @param {number} depth - 0 at the rim, 1 at the bottom
+ */
+export function bowlProfile(depth) {
+  return 1 - Math.pow(depth, 5);
+}
+
 /**
- * Calculate distance between two 3D points
+ * Inner radius of the bowl at a height above its centre. Above the rim the
+ * wall continues straight up so full bowls pile stones upwards.
  */
-function distance(p1, p2) {
-  const dx = p2.x - p1.x;
-  const dy = p2.y - p1.y;
-  const dz = p2.z - p1.z;
-  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+function bowlRadiusAt(bowl, y) {
+  const depth = Math.min(Math.max(0.5 - y / bowl.height, 0), 1);
+  return bowl.radius * bowlProfile(depth);
 }
 
 /**
- * Generate a random position within the pit radius
+ * How far from the axis a stone centred at height `y` may be without
+ * poking through the wall, checked around its lower half
  */
-function randomPosition(pitCenter, radius) {
-  // Use rejection sampling to get uniform distribution in circle
-  while (true) {
-    const x = (Math.random() * 2 - 1) * radius;
-    const z = (Math.random() * 2 - 1) * radius;
-    if (x * x + z * z <= radius * radius) {
-      return {
-        x: pitCenter.x + x,
-        y: pitCenter.y,
-        z: pitCenter.z + z,
-      };
+function wallClearance(bowl, y, stoneRadius) {
+  let clearance = Infinity;
+  for (let i = 0; i <= SETTLE.WALL_SAMPLES; i++) {
+    const angle = (i / SETTLE.WALL_SAMPLES) * (Math.PI / 2);
+    const radius = bowlRadiusAt(bowl, y - stoneRadius * Math.sin(angle));
+    clearance = Math.min(clearance, radius - stoneRadius * Math.cos(angle));
+  }
+  return clearance;
+}
+
+/**
+ * Traces the surface a stone centre slides along: pairs of height and the
+ * largest distance from the axis allowed there, from the lowest point a
+ * stone can reach up to the rim
+ */
+function traceWall(bowl, stoneRadius) {
+  let low = -bowl.height / 2;
+  let high = bowl.height / 2;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (wallClearance(bowl, mid, stoneRadius) >= 0) {
+      high = mid;
+    } else {
+      low = mid;
     }
   }
+
+  const wall = [];
+  for (let i = 0; i <= SETTLE.WALL_SAMPLES * 4; i++) {
+    const y = high + (bowl.height / 2 - high) * (i / (SETTLE.WALL_SAMPLES * 4));
+    wall.push({ y, r: Math.max(wallClearance(bowl, y, stoneRadius), 0) });
+  }
+  return wall;
 }
 
 /**
- * Check if a position collides with any existing stones
+ * Pushes a stone back inside the bowl by moving it to the nearest point of
+ * the traced wall, so stones pressed against the slope ride up it instead
+ * of being squeezed towards the axis
  */
-function hasCollision(position, placedStones, minDistance) {
-  return placedStones.some((stone) => distance(position, stone) < minDistance);
+function constrainToBowl(position, wall) {
+  const floor = wall[0].y;
+  const rim = wall[wall.length - 1];
+  const distance = Math.hypot(position.x, position.z);
+  let target = null;
+
+  if (position.y >= rim.y) {
+    if (distance > rim.r) {
+      target = { r: rim.r, y: position.y };
+    }
+  } else {
+    const y = Math.max(position.y, floor);
+    const i = wall.findIndex((point) => point.y >= y);
+    const below = wall[Math.max(i - 1, 0)];
+    const above = wall[i];
+    const t = above.y > below.y ? (y - below.y) / (above.y - below.y) : 0;
+    const limit = below.r + (above.r - below.r) * t;
+
+    if (distance > limit || position.y < floor) {
+      // Nearest point on the wall polyline in the (distance, height) plane
+      let best = Infinity;
+      for (let j = 1; j < wall.length; j++) {
+        const a = wall[j - 1];
+        const b = wall[j];
+        const dr = b.r - a.r;
+        const dy = b.y - a.y;
+        const u = Math.min(Math.max(
+          ((distance - a.r) * dr + (position.y - a.y) * dy) / (dr * dr + dy * dy || 1), 0), 1);
+        const r = a.r + dr * u;
+        const py = a.y + dy * u;
+        const gap = (distance - r) ** 2 + (position.y - py) ** 2;
+        if (gap < best) {
+          best = gap;
+          target = { r: Math.min(r, distance), y: py };
+        }
+      }
+    }
+  }
+
+  if (target) {
+    const scale = distance > 0 ? target.r / distance : 0;
+    position.x *= scale;
+    position.z *= scale;
+    position.y = target.y;
+  }
 }
 
 /**
- * Distribute stones within a pit using pseudo-physics
+ * Buckets settled stones by cell so each stone only checks its neighbours
+ */
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  cellOf(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  add(position) {
+    const key = `${this.cellOf(position.x)},${this.cellOf(position.y)},${this.cellOf(position.z)}`;
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(position);
+  }
+
+  *near(position) {
+    const cx = this.cellOf(position.x);
+    const cy = this.cellOf(position.y);
+    const cz = this.cellOf(position.z);
+    for (let x = cx - 1; x <= cx + 1; x++) {
+      for (let y = cy - 1; y <= cy + 1; y++) {
+        for (let z = cz - 1; z <= cz + 1; z++) {
+          const cell = this.cells.get(`${x},${y},${z}`);
+          if (cell) {
+            yield* cell;
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Moves a stone out of any settled stone it overlaps, along the line
+ * between their centres, so stones landing off-centre roll off each other
+ */
+function separate(position, grid, minDistance, random) {
+  for (const other of grid.near(position)) {
+    let dx = position.x - other.x;
+    let dy = position.y - other.y;
+    let dz = position.z - other.z;
+    let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance >= minDistance) {
+      continue;
+    }
+    if (distance < 1e-9) {
+      const angle = random() * Math.PI * 2;
+      dx = Math.cos(angle);
+      dy = 0;
+      dz = Math.sin(angle);
+      distance = 1;
+    }
+    const push = (minDistance - distance) / distance;
+    position.x += dx * push;
+    position.y += dy * push;
+    position.z += dz * push;
+  }
+}
+
+/**
+ * Distributes stones in a bowl by dropping them one at a time and letting
+ * each settle against the bowl wall and the stones below it
+ *
+ * Positions in `occupied` belong to stones already in the bowl; they stay put
+ * and only the new positions are returned. The layout depends only on the
+ * arguments and the random source, so a seeded source reproduces it exactly.
+ * @param {Object} options
+ * @param {{x: number, y: number, z: number}} [options.pitCenter] - Centre of the bowl mesh
+ * @param {number} options.bowlRadius - Rim radius of the bowl
+ * @param {number} options.bowlHeight - Height of the bowl
+ * @param {number} options.stoneRadius
+ * @param {number} options.stoneCount - Number of stones to add
+ * @param {Array<{x: number, y: number, z: number}>} [options.occupied=[]]
+ * @param {number} [options.seed=0] - Seed used when no random source is given
+ * @param {() => number} [options.random] - Random source returning [0, 1)
+ * @returns {Array<{x: number, y: number, z: number}>}
  */
 export function distributeStones({
-  pitCenter,
-  pitRadius,
+  pitCenter = { x: 0, y: 0, z: 0 },
+  bowlRadius,
+  bowlHeight,
   stoneRadius,
   stoneCount,
-  maxAttempts = 50,
+  occupied = [],
+  seed = 0,
+  random = createRandom(seed),
 }) {
-  const positions = [];
-  const effectiveRadius = pitRadius - stoneRadius;
-  const minDistance = stoneRadius * 2; // Minimum distance between stone centers
+  const bowl = { radius: bowlRadius, height: bowlHeight };
+  const wall = traceWall(bowl, stoneRadius);
+  const minDistance = stoneRadius * 2;
+  const fallStep = stoneRadius * SETTLE.FALL_STEP;
+  const restDistance = stoneRadius * SETTLE.REST_DISTANCE;
+  const dropRadius = wall[wall.length - 1].r;
+
+  const grid = new SpatialGrid(minDistance);
+  let top = bowl.height / 2;
+  occupied.forEach((stone) => {
+    const position = {
+      x: stone.x - pitCenter.x,
+      y: stone.y - pitCenter.y,
+      z: stone.z - pitCenter.z,
+    };
+    grid.add(position);
+    top = Math.max(top, position.y);
+  });
 
+  const positions = [];
   for (let i = 0; i < stoneCount; i++) {
-    let placed = false;
-    let attempts = 0;
-
-    while (!placed && attempts < maxAttempts) {
-      const pos = randomPosition(pitCenter, effectiveRadius);
-      if (!hasCollision(pos, positions, minDistance)) {
-        positions.push(pos);
-        placed = true;
+    // Drop from a random spot above the rim or the pile, whichever is higher
+    const angle = random() * Math.PI * 2;
+    const radius = dropRadius * Math.sqrt(random());
+    const position = {
+      x: Math.cos(angle) * radius,
+      y: top + stoneRadius * SETTLE.DROP_HEIGHT,
+      z: Math.sin(angle) * radius,
+    };
+
+    let restingSteps = 0;
+    for (let step = 0; step < SETTLE.MAX_STEPS && restingSteps < SETTLE.REST_STEPS; step++) {
+      const startY = position.y;
+      position.y -= fallStep;
+      for (let j = 0; j < SETTLE.RELAX_ITERATIONS; j++) {
+        separate(position, grid, minDistance, random);
+        constrainToBowl(position, wall);
       }
-      attempts++;
+      restingSteps = startY - position.y < restDistance ? restingSteps + 1 : 0;
     }
 
-    // Fallback: If we couldn't place the stone after max attempts,
-    // try placing it in the center with a slight offset
-    if (!placed) {
-      const fallbackPos = {
-        x: pitCenter.x + (Math.random() * 0.1 - 0.05),
-        y: pitCenter.y,
-        z: pitCenter.z + (Math.random() * 0.1 - 0.05),
-      };
-      positions.push(fallbackPos);
-    }
+    grid.add(position);
+    top = Math.max(top, position.y);
+    positions.push({
+      x: pitCenter.x + position.x,
+      y: pitCenter.y + position.y,
+      z: pitCenter.z + position.z,
+    });
   }
 
   return positions;
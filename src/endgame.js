@@ -0,0 +1,345 @@
+import { GameState } from "./game-state.js";
+import { DEFAULT_RULES, resolveRules } from "./rules.js";
+import { decodePosition } from "./notation.js";
+
+/**
+ * Solved endgames
+ *
+ * An endgame table holds the outcome of perfect play from every position
+ * with at most `maxStones` stones left in the pits, for one board size and
+ * rule set. The mancalas play no part in what happens next, so a position is
+ * its pits and the player to move, and its value is how many more of the
+ * remaining stones the player to move ends up with than their opponent.
+ *
+ * Positions are numbered from their position string (see notation.js): the
+ * pit counts as listed there, player 1's then player 2's in row-major order,
+ * are ranked among all lists with the same number of pits, fewest stones
+ * first, and each rank holds player 1 to move and then player 2 to move.
+ * Numbers therefore do not depend on `maxStones`, and a larger table starts
+ * with the positions of every smaller one.
+ *
+ * Tables are built offline with `npm run cli -- endgame` and stored as
+ *
+ *     "NDEG", version (1 byte), dimensions, pits per side, max stones
+ *     (1 byte each), length of the rules as JSON (2 bytes, little-endian),
+ *     the rules, then one signed byte per position holding its value
+ */
+
+const MAGIC = "NDEG";
+const VERSION = 1;
+const HEADER_SIZE = MAGIC.length + 6;
+
+// Values are stored in signed bytes
+const MAX_STONES = 127;
+// Largest table that will be built, in positions
+const MAX_POSITIONS = 2 ** 30;
+
+// Progress of a position while the table is built; unsolved ones are 0
+const IN_PROGRESS = 1;
+const SOLVED = 2;
+
+export class EndgameError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EndgameError";
+  }
+}
+
+// binomial(n, k) for the counts of pit lists, worked out once per size
+const binomials = [[1]];
+
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  while (binomials.length <= n) {
+    const previous = binomials[binomials.length - 1];
+    binomials.push(previous.map((value, i) => value + (previous[i - 1] ?? 0)).concat(1));
+  }
+  return binomials[n][k];
+}
+
+// Number of lists of `length` pit counts that hold exactly `stones` stones
+function compositions(stones, length) {
+  if (length === 0) return stones === 0 ? 1 : 0;
+  return binomial(stones + length - 1, length - 1);
+}
+
+// Number of lists of `length` pit counts that hold fewer than `stones` stones
+function positionsBelow(stones, length) {
+  return stones === 0 ? 0 : binomial(stones - 1 + length, length);
+}
+
+/**
+ * Numbers a position from its pit counts, as described above
+ * @param {Array<number>} counts - Both players' pit counts in position string order
+ * @param {number} player - Player to move
+ * @returns {number} Index of the position in any table large enough to hold it
+ */
+function indexCounts(counts, player) {
+  let remaining = counts.reduce((total, count) => total + count, 0);
+  let rank = positionsBelow(remaining, counts.length);
+  for (let i = 0; i < counts.length - 1; i++) {
+    for (let smaller = 0; smaller < counts[i]; smaller++) {
+      rank += compositions(remaining - smaller, counts.length - i - 1);
+    }
+    remaining -= counts[i];
+  }
+  return rank * 2 + player - 1;
+}
+
+// Pit counts of a state in position string order
+function pitCounts(gameState) {
+  return [
+    ...gameState.player1Board.toArray().flat(Infinity),
+    ...gameState.player2Board.toArray().flat(Infinity),
+  ];
+}
+
+// Every list of `length` pit counts holding `stones` stones, in rank order
+function* countLists(stones, length) {
+  if (length === 1) {
+    yield [stones];
+    return;
+  }
+  for (let first = 0; first <= stones; first++) {
+    for (const rest of countLists(stones - first, length - 1)) {
+      yield [first, ...rest];
+    }
+  }
+}
+
+// Every pit of a player's grid in row-major order, as position strings list them
+function rowMajorCoords(axes, size) {
+  if (axes === 0) return [[]];
+  return rowMajorCoords(axes - 1, size).flatMap((head) =>
+    Array.from({ length: size }, (_, c) => [...head, c])
+  );
+}
+
+function sameRules(a, b) {
+  return Object.keys(DEFAULT_RULES).every((key) => a[key] === b[key]);
+}
+
+/**
+ * Numbers a position for endgame tables
+ * @param {string} text - Position string
+ * @returns {number} Index of the position, see the top of this file
+ * @throws {NotationError} If the string is malformed
+ */
+export function endgameIndex(text) {
+  const position = decodePosition(text);
+  return indexCounts(
+    [...position.player1Board.flat(Infinity), ...position.player2Board.flat(Infinity)],
+    position.currentPlayer
+  );
+}
+
+/**
+ * Perfect play for every position with a few stones left
+ */
+export class EndgameTable {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - Board dimensions
+   * @param {number} options.pocketsPerSide - Pits along each axis
+   * @param {number} options.maxStones - Most stones left in the pits of any position in the table
+   * @param {Object} [options.rules] - Rule variants, see `DEFAULT_RULES` in rules.js
+   * @param {Int8Array} [values] - Value of every position, zero if left out
+   */
+  constructor({ dimensions, pocketsPerSide, maxStones, rules }, values) {
+    if (!Number.isInteger(maxStones) || maxStones < 0 || maxStones > MAX_STONES) {
+      throw new RangeError(`Endgame tables hold 0 to ${MAX_STONES} stones, got ${maxStones}`);
+    }
+    this.dimensions = dimensions;
+    this.pocketsPerSide = pocketsPerSide;
+    this.maxStones = maxStones;
+    this.rules = resolveRules(rules);
+    this.pitCount = 2 * pocketsPerSide ** (dimensions - 1);
+
+    const size = 2 * positionsBelow(maxStones + 1, this.pitCount);
+    if (size > MAX_POSITIONS) {
+      throw new RangeError(`An endgame table of ${maxStones} stones on this board would hold ${size} positions`);
+    }
+    this.values = values ?? new Int8Array(size);
+    if (this.values.length !== size) {
+      throw new EndgameError(`Expected ${size} positions, got ${this.values.length}`);
+    }
+  }
+
+  /**
+   * Solves every position of a table
+   *
+   * Sowing never adds stones to the pits, so positions are solved by how
+   * many stones they have left, fewest first, and every move into fewer
+   * stones leads to a position that is already solved. Moves that keep all
+   * their stones in the pits are followed until they reach one.
+   * @param {Object} options - As for the constructor
+   * @param {(stones: number) => void} [onProgress] - Called after all positions with each number of stones are solved
+   * @returns {EndgameTable}
+   * @throws {EndgameError} If the rules let a position come round again, so play need not end
+   */
+  static generate(options, onProgress = () => {}) {
+    const table = new EndgameTable(options);
+    const status = new Uint8Array(table.values.length);
+    // Every pit is filled in below; starting them with a stone keeps the
+    // template from being a finished game
+    const template = new GameState(table.dimensions, table.pocketsPerSide, 1, {
+      rules: table.rules,
+      seed: 0,
+    });
+    const pits = rowMajorCoords(table.dimensions - 1, table.pocketsPerSide);
+
+    const solve = (state, index) => {
+      if (status[index] === SOLVED) return table.values[index];
+      if (status[index] === IN_PROGRESS) {
+        throw new EndgameError(`Position ${state.toPositionString()} can come round again under these rules`);
+      }
+      status[index] = IN_PROGRESS;
+
+      const mover = state.currentPlayer;
+      const opponent = mover === 1 ? 2 : 1;
+      let value;
+      if (state.getStonesOnSide(1) === 0 || state.getStonesOnSide(2) === 0) {
+        // Only reached from the numbering; games end before this
+        value = state.getStonesOnSide(mover) - state.getStonesOnSide(opponent);
+      } else {
+        value = -Infinity;
+        for (const coords of state.getValidMoves()) {
+          const move = state.simulateMove(coords);
+          const next = move.state;
+          let moveValue =
+            next.mancalas[`player${mover}`] - state.mancalas[`player${mover}`] -
+            (next.mancalas[`player${opponent}`] - state.mancalas[`player${opponent}`]);
+          if (!move.gameOver) {
+            const rest = solve(next, indexCounts(pitCounts(next), next.currentPlayer));
+            moveValue += next.currentPlayer === mover ? rest : -rest;
+          }
+          value = Math.max(value, moveValue);
+        }
+      }
+
+      table.values[index] = value;
+      status[index] = SOLVED;
+      return value;
+    };
+
+    for (let stones = 0; stones <= table.maxStones; stones++) {
+      for (const counts of countLists(stones, table.pitCount)) {
+        const state = template.clone();
+        const half = counts.length / 2;
+        pits.forEach((coords, i) => {
+          state.setStonesAt(1, coords, counts[i]);
+          state.setStonesAt(2, coords, counts[half + i]);
+        });
+        for (const player of [1, 2]) {
+          state.currentPlayer = player;
+          solve(state, indexCounts(counts, player));
+        }
+      }
+      onProgress(stones);
+    }
+    return table;
+  }
+
+  /**
+   * Reads a table written by `toBytes`
+   * @param {ArrayBuffer|Uint8Array} bytes
+   * @returns {EndgameTable}
+   * @throws {EndgameError} If the bytes are not an endgame table
+   */
+  static fromBytes(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const magic = String.fromCharCode(...data.subarray(0, MAGIC.length));
+    if (data.length < HEADER_SIZE || magic !== MAGIC) {
+      throw new EndgameError("Not an endgame table");
+    }
+    const version = data[4];
+    if (version !== VERSION) {
+      throw new EndgameError(`Unsupported endgame table version ${version}`);
+    }
+
+    const rulesLength = view.getUint16(8, true);
+    let rules;
+    try {
+      rules = JSON.parse(new TextDecoder().decode(data.subarray(HEADER_SIZE, HEADER_SIZE + rulesLength)));
+    } catch {
+      throw new EndgameError("Endgame table rules are unreadable");
+    }
+    const start = HEADER_SIZE + rulesLength;
+    const values = new Int8Array(data.buffer, data.byteOffset + start, Math.max(data.length - start, 0));
+    return new EndgameTable(
+      { dimensions: data[5], pocketsPerSide: data[6], maxStones: data[7], rules },
+      values
+    );
+  }
+
+  /**
+   * Writes the table in the format described at the top of this file
+   * @returns {Uint8Array}
+   */
+  toBytes() {
+    const rules = new TextEncoder().encode(JSON.stringify(this.rules));
+    const data = new Uint8Array(HEADER_SIZE + rules.length + this.values.length);
+    const view = new DataView(data.buffer);
+    data.set([...MAGIC].map((c) => c.charCodeAt(0)));
+    data.set([VERSION, this.dimensions, this.pocketsPerSide, this.maxStones], 4);
+    view.setUint16(8, rules.length, true);
+    data.set(rules, HEADER_SIZE);
+    data.set(new Uint8Array(this.values.buffer, this.values.byteOffset, this.values.length), HEADER_SIZE + rules.length);
+    return data;
+  }
+
+  /**
+   * Checks whether a position is in the table
+   * @param {GameState} gameState
+   * @returns {boolean} Whether the game is still going on, on this table's
+   *   board and rules, with few enough stones left in the pits
+   */
+  covers(gameState) {
+    return !gameState.isGameOver() &&
+      gameState.dimensions === this.dimensions &&
+      gameState.pocketsPerSide === this.pocketsPerSide &&
+      sameRules(gameState.rules, this.rules) &&
+      gameState.getStonesOnSide(1) + gameState.getStonesOnSide(2) <= this.maxStones;
+  }
+
+  /**
+   * Looks up the outcome of perfect play from a position
+   * @param {GameState} gameState
+   * @returns {number|null} How many more of the stones left in the pits the
+   *   player to move ends up with than their opponent, or null if the
+   *   position is not in the table
+   */
+  lookup(gameState) {
+    if (!this.covers(gameState)) return null;
+    return this.values[indexCounts(pitCounts(gameState), gameState.currentPlayer)];
+  }
+
+  /**
+   * Finds a move that keeps the value `lookup` gives
+   * @param {GameState} gameState
+   * @returns {Array<number>|null} Coordinates of the first such pit in
+   *   sowing order, or null if the position is not in the table
+   */
+  bestMove(gameState) {
+    if (!this.covers(gameState)) return null;
+    const mover = gameState.currentPlayer;
+    const lead = (state) => state.mancalas[`player${mover}`] - state.mancalas[`player${mover === 1 ? 2 : 1}`];
+
+    let best = null;
+    let bestValue = -Infinity;
+    for (const coords of gameState.getValidMoves()) {
+      const move = gameState.simulateMove(coords);
+      let value = lead(move.state) - lead(gameState);
+      if (!move.gameOver) {
+        const rest = this.lookup(move.state);
+        value += move.state.currentPlayer === mover ? rest : -rest;
+      }
+      if (value > bestValue) {
+        best = coords;
+        bestValue = value;
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * The game without the browser
+ *
+ * Everything needed to set up, play, record and analyse games from Node,
+ * with no DOM, WebGL or Vite involved. It is the package's main entry point
+ * and what the CLI in `cli/` is built on:
+ *
+ *     import { GameState, ENGINES, formatBoard } from "nd-mancala";
+ */
+
+export { GameState } from "./game-state.js";
+export { GameHistory } from "./history.js";
+export {
+  CAPTURE_RULES,
+  SOWING_DIRECTIONS,
+  DEFAULT_RULES,
+  RULE_PRESETS,
+  resolveRules,
+} from "./rules.js";
+export { SETUP_PRESETS, resolveSetup } from "./setups.js";
+export {
+  NotationError,
+  encodePosition,
+  decodePosition,
+  formatPly,
+  parsePly,
+  formatGame,
+  parseGame,
+} from "./notation.js";
+export { createRandom, hashString, parseSeed, randomSeed } from "./random.js";
+export { DIFFICULTY_LEVELS, chooseMove, chooseMoveAtDepth, useEndgameTable } from "./ai.js";
+export { EndgameError, EndgameTable, endgameIndex } from "./endgame.js";
+export { ENGINES, findEngine, minimaxEngine } from "./engines.js";
+export { formatResultsCsv, playGame, runTournament, wilsonInterval } from "./tournament.js";
+export { formatBoard } from "./ascii-board.js";
+export { formatPit, describeMove } from "./move-list.js";
@@ -0,0 +1,73 @@
+import { DIFFICULTY_LEVELS, chooseMove, chooseMoveAtDepth } from "./ai.js";
+
+/**
+ * Move pickers for games played without a person, e.g. engine against
+ * engine from the CLI
+ *
+ * Every engine has a `label` and a `choose(gameState, random)` that returns
+ * the coordinates of a legal move for the player to move, or null if there
+ * is none. `random` is a seeded generator from random.js, so matches between
+ * engines that use it can be repeated.
+ */
+export const ENGINES = {
+  random: {
+    label: "Random legal move",
+    choose(gameState, random) {
+      const moves = gameState.getValidMoves();
+      return moves.length > 0 ? moves[Math.floor(random() * moves.length)] : null;
+    },
+  },
+  greedy: {
+    label: "Most stones into its own mancala this move",
+    choose(gameState, random) {
+      const player = `player${gameState.currentPlayer}`;
+      let best = [];
+      let bestGain = -Infinity;
+      for (const coords of gameState.getValidMoves()) {
+        const gain = gameState.simulateMove(coords).state.mancalas[player] - gameState.mancalas[player];
+        if (gain > bestGain) {
+          best = [coords];
+          bestGain = gain;
+        } else if (gain === bestGain) {
+          best.push(coords);
+        }
+      }
+      // Ties are broken at random, so greedy play does not always open the same way
+      return best.length > 0 ? best[Math.floor(random() * best.length)] : null;
+    },
+  },
+};
+
+// The computer opponent at each of its difficulty levels
+Object.entries(DIFFICULTY_LEVELS).forEach(([difficulty, { depth }]) => {
+  ENGINES[difficulty] = {
+    label: `Computer, ${difficulty} (depth ${depth})`,
+    choose: (gameState) => chooseMove(gameState, difficulty),
+  };
+});
+
+/**
+ * Minimax searching exactly `depth` plies with no time limit, so results do
+ * not depend on the machine they are played on
+ * @param {number} depth - Plies to search, at least 1
+ * @returns {{label: string, choose: Function}} An engine like those in ENGINES
+ */
+export function minimaxEngine(depth) {
+  return {
+    label: `Minimax, depth ${depth}`,
+    choose: (gameState) => chooseMoveAtDepth(gameState, depth),
+  };
+}
+
+/**
+ * Looks an engine up by name: a key of ENGINES, or "minimax-<depth>"
+ * @param {string} name
+ * @returns {{label: string, choose: Function}|null} The engine, or null if there is none by that name
+ */
+export function findEngine(name) {
+  if (Object.hasOwn(ENGINES, name)) {
+    return ENGINES[name];
+  }
+  const depth = /^minimax-([1-9]\d*)$/.exec(name)?.[1];
+  return depth ? minimaxEngine(Number(depth)) : null;
+}
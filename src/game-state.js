@@ -1,58 +1,320 @@
 import { matrix } from "mathjs";
+import {
+  CAPTURE_RULES,
+  SOWING_DIRECTIONS,
+  MAX_RELAY_LAPS,
+  MAX_GAME_PLIES,
+  DEFAULT_RULES,
+  resolveRules,
+} from "./rules.js";
+import {
+  NotationError,
+  encodePosition,
+  decodePosition,
+  formatGame,
+  parseGame,
+} from "./notation.js";
+import { createRandom, hashString, randomSeed } from "./random.js";
+import { resolveSetup } from "./setups.js";
+
+/**
+ * Build the sowing order for a player's grid of pits.
+ *
+ * The grid is walked boustrophedon-style: the outer axis advances one step at a
+ * time and every sub-grid is walked in reverse whenever that step is odd, so
+ * consecutive pits in the order are always neighbours in the grid.
+ * @param {number} axes - Number of axes in the player's grid
+ * @param {number} size - Number of pits along each axis
+ * @returns {Array<Array<number>>} Coordinate tuples in sowing order
+ */
+function buildSowingOrder(axes, size) {
+  const walk = (axisCount, index) => {
+    if (axisCount === 1) {
+      return [index];
+    }
+    const blockSize = size ** (axisCount - 1);
+    const head = Math.floor(index / blockSize);
+    let rest = index % blockSize;
+    if (head % 2 === 1) {
+      rest = blockSize - 1 - rest;
+    }
+    return [head, ...walk(axisCount - 1, rest)];
+  };
+
+  const order = [];
+  for (let i = 0; i < size ** axes; i++) {
+    order.push(walk(axes, i));
+  }
+  return order;
+}
 
 /**
  * Represents the state of a Mancala game
+ *
+ * A board with `dimensions` D gives each player a (D - 1)-dimensional grid of
+ * pits with `pocketsPerSide` pits along every axis, so the classic two-row
+ * board is D = 2 and D = 3 gives each player a square grid. Pits are addressed
+ * by coordinate tuples with one entry per axis.
  */
 export class GameState {
   /**
    * @param {number} dimensions - Number of dimensions for the board
    * @param {number} pocketsPerSide - Number of pockets per player
-   * @param {number} [initialStones=4] - Initial number of stones per pocket
+   * @param {number|Array|Object} [initialStones=4] - Stones per pocket, or any other
+   *   starting layout described in setups.js
+   * @param {Object} [options={}]
+   * @param {Object} [options.rules] - Rule variants to play, see `DEFAULT_RULES` in rules.js
+   * @param {number} [options.seed] - Seed for everything random in the game; picked at random if left out
    */
-  constructor(dimensions, pocketsPerSide, initialStones = 4) {
+  constructor(dimensions, pocketsPerSide, initialStones = 4, options = {}) {
+    if (!Number.isInteger(dimensions) || dimensions < 2) {
+      throw new RangeError(`Board needs at least 2 dimensions, got ${dimensions}`);
+    }
+    if (!Number.isInteger(pocketsPerSide) || pocketsPerSide < 1) {
+      throw new RangeError(`Board needs at least 1 pit per side, got ${pocketsPerSide}`);
+    }
     this.dimensions = dimensions;
     this.pocketsPerSide = pocketsPerSide;
+    this.pitShape = Array(dimensions - 1).fill(pocketsPerSide);
+    this.sowingOrder = buildSowingOrder(this.pitShape.length, pocketsPerSide);
+    this.sowingIndex = new Map(
+      this.sowingOrder.map((coords, index) => [coords.join(","), index])
+    );
+    this.rules = resolveRules(options.rules);
+    // Only a uniform start has a stone count; other layouts are recorded
+    // through the starting position
+    this.initialStones = typeof initialStones === "number" ? initialStones : null;
+    this.seed = options.seed ?? randomSeed();
     this.currentPlayer = 1; // 1 or 2
     this.initialize(initialStones);
+    // A layout can leave a side without stones, e.g. no stones at all
+    this.checkGameOver();
   }
 
   /**
    * Initialize the game state
-   * @param {number} initialStones - Number of stones to start in each pocket
+   * @param {number|Array|Object} setup - Starting layout, see setups.js
    * @private
    */
-  initialize(initialStones) {
+  initialize(setup) {
+    // Random layouts draw from a generator of their own, seeded from the
+    // game's seed
+    const random = createRandom(hashString(`${this.seed}:setup`));
+    const counts = resolveSetup(setup, this.pitShape, random);
+
     // Create separate matrices for each player
-    this.player1Board = matrix(Array(this.pocketsPerSide).fill(initialStones));
-    this.player2Board = matrix(Array(this.pocketsPerSide).fill(initialStones));
+    this.player1Board = matrix(counts.player1);
+    this.player2Board = matrix(counts.player2);
     
     // Initialize mancalas
     this.mancalas = {
       player1: 0,
       player2: 0
     };
+
+    this.gameOver = false;
+
+    // Plies played so far, and the position string before the first of them
+    this.moves = [];
+    this.initialPosition = null;
+  }
+
+  /**
+   * Create an independent copy of this state
+   * @returns {GameState} A state that can be changed without affecting this one
+   */
+  clone() {
+    const copy = Object.create(GameState.prototype);
+    Object.assign(copy, this);
+    // The sowing order is derived from the board size and never changes, so
+    // only the stone counts need copying
+    copy.player1Board = this.player1Board.clone();
+    copy.player2Board = this.player2Board.clone();
+    copy.mancalas = { ...this.mancalas };
+    copy.moves = [...this.moves];
+    return copy;
+  }
+
+  /**
+   * Convert the state into plain data, e.g. to post it to a worker
+   * @returns {Object} Snapshot that can be passed to `GameState.fromSnapshot`
+   */
+  toSnapshot() {
+    return {
+      dimensions: this.dimensions,
+      pocketsPerSide: this.pocketsPerSide,
+      rules: { ...this.rules },
+      seed: this.seed,
+      currentPlayer: this.currentPlayer,
+      player1Board: this.player1Board.toArray(),
+      player2Board: this.player2Board.toArray(),
+      mancalas: { ...this.mancalas },
+      gameOver: this.gameOver,
+    };
+  }
+
+  /**
+   * Rebuild a state from a snapshot
+   * @param {Object} snapshot - Data returned by `toSnapshot`
+   * @returns {GameState} The restored state
+   */
+  static fromSnapshot(snapshot) {
+    const state = new GameState(snapshot.dimensions, snapshot.pocketsPerSide, 0, {
+      rules: snapshot.rules,
+      seed: snapshot.seed,
+    });
+    state.initialStones = null;
+    state.currentPlayer = snapshot.currentPlayer;
+    state.player1Board = matrix(snapshot.player1Board);
+    state.player2Board = matrix(snapshot.player2Board);
+    state.mancalas = { ...snapshot.mancalas };
+    state.gameOver = snapshot.gameOver;
+    return state;
+  }
+
+  /**
+   * Encode the position as a position string, see notation.js
+   * @returns {string} Position string
+   */
+  toPositionString() {
+    return encodePosition(this.toSnapshot());
+  }
+
+  /**
+   * Build a state from a position string
+   * @param {string} text - Position string
+   * @param {Object} [options={}]
+   * @param {Object} [options.rules] - Rule variants to play from this position
+   * @param {number} [options.seed] - Seed for the game; picked at random if left out
+   * @returns {GameState} The position, with no moves played; if either side
+   *   is empty the game is over and the other side's stones are swept
+   * @throws {NotationError} If the string is malformed
+   */
+  static fromPositionString(text, options = {}) {
+    const state = GameState.fromSnapshot({
+      ...decodePosition(text),
+      rules: options.rules,
+      seed: options.seed,
+    });
+    // A position with an empty side is over; sweep it as play would
+    state.checkGameOver();
+    return state;
+  }
+
+  /**
+   * Write the whole game, from its starting position, as game notation
+   * @returns {string} Game notation, see notation.js
+   */
+  toNotation() {
+    const start = this.initialPosition ?? this.toPositionString();
+    const standardStart = this.initialStones === null
+      ? null
+      : new GameState(this.dimensions, this.pocketsPerSide, this.initialStones).toPositionString();
+
+    return formatGame({
+      dimensions: this.dimensions,
+      pocketsPerSide: this.pocketsPerSide,
+      initialStones: this.initialStones,
+      rules: this.rules,
+      defaultRules: DEFAULT_RULES,
+      seed: this.seed,
+      start: start === standardStart ? undefined : start,
+      moves: this.moves,
+      result: this.gameOver ? this.getScores() : undefined,
+    });
+  }
+
+  /**
+   * Replay a game written in game notation
+   * @param {string} text - Game notation
+   * @returns {GameState} The state after the last move
+   * @throws {NotationError} If the notation is malformed or contains an illegal move
+   */
+  static fromNotation(text) {
+    const game = parseGame(text);
+
+    let state;
+    try {
+      state = game.start
+        ? GameState.fromPositionString(game.start, { rules: game.rules, seed: game.seed })
+        : new GameState(game.dimensions, game.pocketsPerSide, game.initialStones ?? 4, {
+            rules: game.rules,
+            seed: game.seed,
+          });
+    } catch (error) {
+      if (error instanceof NotationError) throw error;
+      throw new NotationError(error.message);
+    }
+    if (state.dimensions !== game.dimensions || state.pocketsPerSide !== game.pocketsPerSide) {
+      throw new NotationError("Start position does not match the board size");
+    }
+    if (game.start) {
+      state.initialStones = game.initialStones ?? null;
+    }
+
+    game.moves.forEach((coords, i) => {
+      if (!state.isValidMove(coords)) {
+        throw new NotationError(`Illegal move ${i + 1}: pit ${coords.map((c) => c + 1).join(".")}`);
+      }
+      state.performMove(coords);
+    });
+    return state;
+  }
+
+  /**
+   * Get the coordinates of every pit on one side, in sowing order
+   * @returns {Array<Array<number>>} Coordinate tuples
+   */
+  getPitCoordinates() {
+    return this.sowingOrder;
+  }
+
+  /**
+   * Get the number of pits on one player's side
+   * @returns {number} Number of pits
+   */
+  getPitCount() {
+    return this.sowingOrder.length;
+  }
+
+  /**
+   * Get the position of a pit in the sowing order
+   * @param {Array<number>} coords - Pit coordinates
+   * @returns {number} Index into the sowing order, or -1 if off the board
+   */
+  getPitIndex(coords) {
+    return this.sowingIndex.get(coords.join(",")) ?? -1;
+  }
+
+  /**
+   * Get the pit facing a given pit on the other player's side
+   * @param {Array<number>} coords - Pit coordinates
+   * @returns {Array<number>} Coordinates of the opposite pit
+   */
+  getOppositeCoords(coords) {
+    return coords.map((c) => this.pocketsPerSide - 1 - c);
   }
 
   /**
    * Get the number of stones in a pit
    * @param {number} player - Player number (1 or 2)
-   * @param {number} position - Position in player's board (0 to pocketsPerSide-1)
+   * @param {Array<number>} coords - Pit coordinates on the player's board
    * @returns {number} Number of stones
    */
-  getStonesAt(player, position) {
+  getStonesAt(player, coords) {
     const board = player === 1 ? this.player1Board : this.player2Board;
-    return board.get([position]);
+    return board.get(coords);
   }
 
   /**
    * Set the number of stones in a pit
    * @param {number} player - Player number (1 or 2)
-   * @param {number} position - Position in player's board (0 to pocketsPerSide-1)
+   * @param {Array<number>} coords - Pit coordinates on the player's board
    * @param {number} count - Number of stones
    */
-  setStonesAt(player, position, count) {
+  setStonesAt(player, coords, count) {
     const board = player === 1 ? this.player1Board : this.player2Board;
-    board._data[position] = count;
+    board.set(coords, count);
   }
 
   /**
@@ -63,131 +325,291 @@ export class GameState {
     return this.mancalas[`player${this.currentPlayer}`];
   }
 
+  /**
+   * Count the stones left in a player's pits
+   * @param {number} player - Player number (1 or 2)
+   * @returns {number} Number of stones on the player's side
+   */
+  getStonesOnSide(player) {
+    return this.sowingOrder.reduce(
+      (total, coords) => total + this.getStonesAt(player, coords),
+      0
+    );
+  }
+
+  /**
+   * Check whether the game has ended
+   * @returns {boolean} Whether the game is over
+   */
+  isGameOver() {
+    return this.gameOver;
+  }
+
+  /**
+   * Get the scores, which are final once the game is over
+   * @returns {{player1: number, player2: number}} Stones in each player's mancala
+   */
+  getScores() {
+    return { ...this.mancalas };
+  }
+
+  /**
+   * Get the winner of a finished game
+   * @returns {number|null} Winning player (1 or 2), 0 for a draw, or null while the game is still running
+   */
+  getWinner() {
+    if (!this.gameOver) {
+      return null;
+    }
+    if (this.mancalas.player1 === this.mancalas.player2) {
+      return 0;
+    }
+    return this.mancalas.player1 > this.mancalas.player2 ? 1 : 2;
+  }
+
+  /**
+   * End the game if either side has run out of stones, or once the game has
+   * lasted MAX_GAME_PLIES plies
+   *
+   * Each player sweeps whatever is left in their own pits into their own
+   * mancala, so the mancalas hold the final scores.
+   * @returns {{player1: number, player2: number}|null} Stones swept into each mancala, or null if the game goes on
+   * @private
+   */
+  checkGameOver() {
+    if (this.getStonesOnSide(1) > 0 && this.getStonesOnSide(2) > 0 &&
+        this.moves.length < MAX_GAME_PLIES) {
+      return null;
+    }
+
+    const swept = {};
+    for (const player of [1, 2]) {
+      swept[`player${player}`] = this.getStonesOnSide(player);
+      this.mancalas[`player${player}`] += swept[`player${player}`];
+      this.sowingOrder.forEach((coords) => this.setStonesAt(player, coords, 0));
+    }
+    this.gameOver = true;
+    return swept;
+  }
+
   /**
    * Check if a move is valid
-   * @param {number} position - Position in current player's board (0 to pocketsPerSide-1)
+   * @param {Array<number>} coords - Pit coordinates on the current player's board
    * @returns {boolean} Whether the move is valid
    */
-  isValidMove(position) {
-    if (position < 0 || position >= this.pocketsPerSide) {
+  isValidMove(coords) {
+    if (this.gameOver || this.getPitIndex(coords) === -1) {
       return false;
     }
-    const stones = this.getStonesAt(this.currentPlayer, position);
+    const stones = this.getStonesAt(this.currentPlayer, coords);
     return stones > 0;
   }
 
   /**
-   * Perform a move on the board
-   * @param {number} position - Position in current player's board (0 to pocketsPerSide-1)
-   * @returns {boolean} Whether the player gets another turn
+   * Get every legal move for the current player
+   * @returns {Array<Array<number>>} Coordinates of the pits that can be sown, in sowing order
    */
-  performMove(position) {
-    if (!this.isValidMove(position)) {
-      return false;
-    }
+  getValidMoves() {
+    return this.sowingOrder.filter((coords) => this.isValidMove(coords));
+  }
+
+  /**
+   * Sow the stones of a pit and apply the capture rule, changing this state
+   *
+   * Stones follow the sowing order of the grids (reversed for clockwise play)
+   * through the current player's pits, into their mancala, then through the
+   * opponent's pits, skipping the opponent's mancala. Does not change turns.
+   * @param {Array<number>} coords - Pit coordinates on the current player's board
+   * @returns {{path: Array<{player: number, position: Array<number>|null, isMancala: boolean}>, lastStoneInMancala: boolean, captures: Array<{player: number, coords: Array<number>, stones: number}>}} Where each stone went, whether the last one ended in the mover's mancala, and the pits captured
+   * @private
+   */
+  sow(coords) {
+    const rules = this.rules;
+    const mover = this.currentPlayer;
+    const step = rules.direction === SOWING_DIRECTIONS.CLOCKWISE ? -1 : 1;
+    const pitCount = this.getPitCount();
+    const path = [];
+
+    let stones = this.getStonesAt(mover, coords);
+    this.setStonesAt(mover, coords, 0);
 
-    const isPlayer1 = this.currentPlayer === 1;
-    let stones = this.getStonesAt(this.currentPlayer, position);
-    this.setStonesAt(this.currentPlayer, position, 0);
-    
     // Track position in both boards
-    let currentPlayer = this.currentPlayer;
-    let currentPos = position;
+    let currentPlayer = mover;
+    let currentIndex = this.getPitIndex(coords);
+    let origin = { player: mover, index: currentIndex };
     let lastStoneInMancala = false;
-    
+    let relayLaps = 0;
+    let landing = null;
+
     while (stones > 0) {
       // Move to next position/board
-      currentPos++;
-      
-      // If we reach the end of current player's board
-      if (currentPos >= this.pocketsPerSide) {
+      currentIndex += step;
+
+      // If we reach the end of the current board
+      if (currentIndex < 0 || currentIndex >= pitCount) {
         // Check if we should add to mancala
-        if (currentPlayer === this.currentPlayer) {
-          this.mancalas[`player${currentPlayer}`]++;
+        if (currentPlayer === mover && !rules.skipOwnStore) {
+          this.mancalas[`player${mover}`]++;
           stones--;
+          path.push({ player: mover, position: null, isMancala: true });
           lastStoneInMancala = stones === 0;
           if (lastStoneInMancala) break;
         }
         // Switch to other player's board
         currentPlayer = currentPlayer === 1 ? 2 : 1;
-        currentPos = 0;
+        currentIndex = step > 0 ? 0 : pitCount - 1;
+      }
+
+      // Oware-style laps never drop a stone back into the emptied pit
+      if (rules.skipOrigin && currentPlayer === origin.player && currentIndex === origin.index) {
+        continue;
       }
-      
+
       // Place stone in current pit
-      this.setStonesAt(currentPlayer, currentPos, 
-        this.getStonesAt(currentPlayer, currentPos) + 1);
+      const currentPit = this.sowingOrder[currentIndex];
+      const count = this.getStonesAt(currentPlayer, currentPit) + 1;
+      this.setStonesAt(currentPlayer, currentPit, count);
       stones--;
-      
-      // Handle capture on last stone
-      if (stones === 0 && currentPlayer === this.currentPlayer) {
-        const landedInEmptyPit = this.getStonesAt(currentPlayer, currentPos) === 1;
-        if (landedInEmptyPit) {
-          const oppositePlayer = currentPlayer === 1 ? 2 : 1;
-          const oppositeStones = this.getStonesAt(oppositePlayer, this.pocketsPerSide - 1 - currentPos);
-          
-          if (oppositeStones > 0) {
-            const capturedStones = oppositeStones + 1; // +1 for the landing stone
-            this.setStonesAt(oppositePlayer, this.pocketsPerSide - 1 - currentPos, 0);
-            this.setStonesAt(currentPlayer, currentPos, 0);
-            this.mancalas[`player${currentPlayer}`] += capturedStones;
-          }
-        }
+      path.push({ player: currentPlayer, position: currentPit, isMancala: false });
+      landing = { player: currentPlayer, coords: currentPit, count };
+
+      // Relay sowing picks the landing pit up again and carries on
+      if (stones === 0 && rules.relay && count > 1 && relayLaps < MAX_RELAY_LAPS) {
+        stones = count;
+        this.setStonesAt(currentPlayer, currentPit, 0);
+        origin = { player: currentPlayer, index: currentIndex };
+        relayLaps++;
       }
     }
-    
-    // Switch turns if last stone wasn't in player's mancala
-    if (!lastStoneInMancala) {
-      this.currentPlayer = this.currentPlayer === 1 ? 2 : 1;
+
+    // Handle capture on last stone
+    let captures = [];
+    if (!lastStoneInMancala && landing && landing.player === mover && landing.count === 1) {
+      captures = this.capture(landing.coords);
     }
-    
-    return lastStoneInMancala;
+
+    return { path, lastStoneInMancala, captures };
   }
 
   /**
-   * Simulate a move to get the sequence of positions that would be affected
-   * @param {number} position - Position in current player's board (0 to pocketsPerSide-1)
-   * @returns {Array<{player: number, position: number, isMancala: boolean}>} Sequence of affected positions
+   * Apply the capture rule after the last stone landed in an empty own pit
+   * @param {Array<number>} coords - Pit the last stone landed in
+   * @returns {Array<{player: number, coords: Array<number>, stones: number}>} Pits emptied into the mover's mancala, empty if nothing was captured
+   * @private
    */
-  simulateMove(position) {
-    if (!this.isValidMove(position)) {
+  capture(coords) {
+    if (this.rules.capture === CAPTURE_RULES.NONE) {
       return [];
     }
 
-    const sequence = [];
-    const stones = this.getStonesAt(this.currentPlayer, position);
-    let currentPlayer = this.currentPlayer;
-    let currentPos = position;
-    
-    for (let i = 0; i < stones; i++) {
-      // Move to next position/board
-      currentPos++;
-      
-      // If we reach the end of current player's board
-      if (currentPos >= this.pocketsPerSide) {
-        // Check if we should add mancala
-        if (currentPlayer === this.currentPlayer) {
-          sequence.push({
-            player: currentPlayer,
-            position: -1, // Special position for mancala
-            isMancala: true
-          });
-          // Switch to other player's board
-          currentPlayer = currentPlayer === 1 ? 2 : 1;
-          currentPos = -1;
-          continue;
-        }
-        // Switch to other player's board
-        currentPlayer = currentPlayer === 1 ? 2 : 1;
-        currentPos = 0;
-      }
-      
-      sequence.push({
-        player: currentPlayer,
-        position: currentPos,
-        isMancala: false
-      });
+    const mover = this.currentPlayer;
+    const oppositePlayer = mover === 1 ? 2 : 1;
+    const oppositePit = this.getOppositeCoords(coords);
+    const oppositeStones = this.getStonesAt(oppositePlayer, oppositePit);
+
+    if (oppositeStones > 0 || this.rules.capture === CAPTURE_RULES.ALWAYS) {
+      this.setStonesAt(oppositePlayer, oppositePit, 0);
+      this.setStonesAt(mover, coords, 0);
+      this.mancalas[`player${mover}`] += oppositeStones + 1; // +1 for the landing stone
+      return [
+        { player: oppositePlayer, coords: oppositePit, stones: oppositeStones },
+        { player: mover, coords, stones: 1 },
+      ];
     }
-    
-    return sequence;
+    return [];
+  }
+
+  /**
+   * Perform a move on the board
+   *
+   * Applies the outcome worked out by `simulateMove`, so a move always does
+   * exactly what its preview showed.
+   * @param {Array<number>} coords - Pit coordinates on the current player's board
+   * @returns {boolean} Whether the player gets another turn
+   */
+  performMove(coords) {
+    const result = this.simulateMove(coords);
+    if (!result) {
+      return false;
+    }
+
+    Object.assign(this, result.state);
+    return result.extraTurn;
+  }
+
+  /**
+   * Perform a move on a copy of this state, leaving this state untouched
+   * @param {Array<number>} coords - Pit coordinates on the current player's board
+   * @returns {{state: GameState, move: MoveResult}|null} The state after the move and what the move did, or null if the move is invalid
+   */
+  applyMove(coords) {
+    const result = this.simulateMove(coords);
+    if (!result) {
+      return null;
+    }
+
+    const { state, ...move } = result;
+    return { state, move };
+  }
+
+  /**
+   * @typedef {Object} MoveResult
+   * @property {number} player - Player who moved
+   * @property {Array<number>} coords - Pit that was sown
+   * @property {number} stones - Number of stones sown
+   * @property {Array<{player: number, position: Array<number>|null, isMancala: boolean}>} path - Where each stone was dropped, in order, with a null position for a mancala
+   * @property {Array<{player: number, coords: Array<number>, stones: number}>} captures - Pits emptied into the mover's mancala by a capture
+   * @property {number} captured - Total stones captured
+   * @property {boolean} extraTurn - Whether the mover plays again
+   * @property {boolean} gameOver - Whether the move ended the game
+   * @property {{player1: number, player2: number}|null} swept - Stones swept into each mancala when the game ended
+   * @property {GameState} state - The board after the move
+   */
+
+  /**
+   * Work out everything a move does without changing this state
+   *
+   * Sowing and captures follow `this.rules`; see `sow`. The player moves
+   * again if the last stone ends in their own mancala. Once either side is
+   * empty, or the game reaches MAX_GAME_PLIES plies, the remaining stones are
+   * swept into their owners' mancalas and the game is over. Both `performMove` and the hover preview use this, so they
+   * can never disagree.
+   * @param {Array<number>} coords - Pit coordinates on the current player's board
+   * @returns {MoveResult|null} The outcome of the move, or null if the move is invalid
+   */
+  simulateMove(coords) {
+    if (!this.isValidMove(coords)) {
+      return null;
+    }
+
+    const state = this.clone();
+    if (state.moves.length === 0) {
+      state.initialPosition = this.toPositionString();
+    }
+    state.moves.push(coords);
+
+    const player = this.currentPlayer;
+    const stones = this.getStonesAt(player, coords);
+    const { path, lastStoneInMancala, captures } = state.sow(coords);
+
+    // Switch turns if last stone wasn't in player's mancala
+    if (!lastStoneInMancala) {
+      state.currentPlayer = player === 1 ? 2 : 1;
+    }
+
+    const swept = state.checkGameOver();
+    const gameOver = swept !== null;
+    return {
+      player,
+      coords,
+      stones,
+      path,
+      captures,
+      captured: captures.reduce((total, pit) => total + pit.stones, 0),
+      extraTurn: lastStoneInMancala && !gameOver,
+      gameOver,
+      swept,
+      state,
+    };
   }
-} 
\ No newline at end of file
+}
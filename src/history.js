@@ -0,0 +1,102 @@
+import { GameState } from "./game-state.js";
+
+/**
+ * Undo/redo history of a game
+ *
+ * Keeps the state before the first move and the state after every move, so
+ * any position can be returned to without replaying. States are never
+ * changed in place; moves are applied with `GameState.applyMove`.
+ */
+export class GameHistory {
+  /**
+   * @param {GameState} initialState - Position before the first move
+   */
+  constructor(initialState) {
+    this.states = [initialState];
+    this.moves = [];
+    this.cursor = 0; // Number of moves applied to reach the current state
+  }
+
+  /**
+   * Rebuilds the history of a game by replaying its moves from the start
+   * @param {GameState} state - Any state of the game, e.g. one loaded from notation
+   * @returns {GameHistory} History positioned at the given state
+   */
+  static fromGame(state) {
+    if (state.moves.length === 0) {
+      return new GameHistory(state);
+    }
+
+    const initialState = GameState.fromPositionString(state.initialPosition, {
+      rules: state.rules,
+      seed: state.seed,
+    });
+    initialState.initialStones = state.initialStones;
+    const history = new GameHistory(initialState);
+    state.moves.forEach((coords) => history.push(coords));
+    return history;
+  }
+
+  /**
+   * The state at the current point in the history
+   * @returns {GameState}
+   */
+  get current() {
+    return this.states[this.cursor];
+  }
+
+  /**
+   * Applies a move to the current state. Any undone moves are discarded.
+   * @param {Array<number>} coords - Pit to sow
+   * @returns {MoveResult|null} The applied move, or null if it is invalid
+   */
+  push(coords) {
+    const result = this.current.applyMove(coords);
+    if (!result) {
+      return null;
+    }
+
+    this.states.length = this.cursor + 1;
+    this.moves.length = this.cursor;
+    this.states.push(result.state);
+    this.moves.push(result.move);
+    this.cursor++;
+    return result.move;
+  }
+
+  canUndo() {
+    return this.cursor > 0;
+  }
+
+  canRedo() {
+    return this.cursor < this.moves.length;
+  }
+
+  /**
+   * Steps back one move
+   * @returns {boolean} Whether anything was undone
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    this.cursor--;
+    return true;
+  }
+
+  /**
+   * Steps forward one undone move
+   * @returns {boolean} Whether anything was redone
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    this.cursor++;
+    return true;
+  }
+
+  /**
+   * Moves to the position after a given number of moves
+   * @param {number} ply - 0 for the initial position, up to the number of recorded moves
+   */
+  jumpTo(ply) {
+    this.cursor = Math.max(0, Math.min(ply, this.moves.length));
+  }
+}
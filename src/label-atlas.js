@@ -0,0 +1,71 @@
+import * as THREE from "three";
+
+/**
+ * Count labels drawn from shared texture atlases
+ *
+ * Each distinct number is drawn once into a cell of an atlas canvas and gets
+ * one cached sprite material, so pits showing the same count share a
+ * material and every label samples one of a handful of textures.
+ */
+
+const CELL_SIZE = 64;
+const CELLS_PER_ROW = 16;
+const PAGE_SIZE = CELL_SIZE * CELLS_PER_ROW;
+
+const pages = [];
+const materials = new Map();
+
+function createPage() {
+  const canvas = document.createElement("canvas");
+  canvas.width = PAGE_SIZE;
+  canvas.height = PAGE_SIZE;
+  return {
+    context: canvas.getContext("2d"),
+    texture: new THREE.CanvasTexture(canvas),
+    used: 0,
+  };
+}
+
+function createLabelMaterial(text) {
+  let page = pages[pages.length - 1];
+  if (!page || page.used === CELLS_PER_ROW * CELLS_PER_ROW) {
+    page = createPage();
+    pages.push(page);
+  }
+
+  const cell = page.used++;
+  const x = (cell % CELLS_PER_ROW) * CELL_SIZE;
+  const y = Math.floor(cell / CELLS_PER_ROW) * CELL_SIZE;
+  // Shrink long numbers so they stay inside their cell
+  const fontSize = text.length > 2 ? Math.floor(96 / text.length) : 48;
+
+  const context = page.context;
+  context.fillStyle = "white";
+  context.font = `bold ${fontSize}px Arial`;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillText(text, x + CELL_SIZE / 2, y + CELL_SIZE / 2);
+  page.texture.needsUpdate = true;
+
+  // Clones share the page's image, so the page is uploaded once
+  const map = page.texture.clone();
+  map.repeat.set(1 / CELLS_PER_ROW, 1 / CELLS_PER_ROW);
+  map.offset.set(x / PAGE_SIZE, 1 - (y + CELL_SIZE) / PAGE_SIZE);
+
+  const material = new THREE.SpriteMaterial({ map });
+  // Shared between boards, so boards being torn down must leave it alone
+  material.userData.cached = true;
+  return material;
+}
+
+/**
+ * Gets the sprite material showing a number
+ * @param {number} count - Number to show
+ * @returns {THREE.SpriteMaterial} Cached material; do not dispose
+ */
+export function getLabelMaterial(count) {
+  if (!materials.has(count)) {
+    materials.set(count, createLabelMaterial(count.toString()));
+  }
+  return materials.get(count);
+}
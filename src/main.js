@@ -1,6 +1,54 @@
 import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { GameState } from "./game-state.js";
-import { renderBoard, updateBoard, highlightMoveSequence, clearHighlights, animateMove } from "./board-visual.js";
+import { RULE_PRESETS } from "./rules.js";
+import { SETUP_PRESETS } from "./setups.js";
+import { GameHistory } from "./history.js";
+import { formatPit, renderMoveList } from "./move-list.js";
+import { ComputerPlayer } from "./computer-player.js";
+import { OnlineClient, defaultServerUrl } from "./online-client.js";
+import { PerfHud } from "./perf-hud.js";
+import { ScoreHud } from "./score-hud.js";
+import { Announcer, describeFocus, describeMoveForSpeech } from "./announcer.js";
+import { formatEvaluation } from "./ai.js";
+import { EndgameTable } from "./endgame.js";
+import { REPLAY_PAUSE_MS, REPLAY_SPEEDS, readReplayHash, replayLink } from "./replay.js";
+import { MAX_PITS_PER_SIDE } from "./notation.js";
+import { parseSeed, randomSeed } from "./random.js";
+import { COLORS, renderBoard, updateBoard, disposeBoard, getBoardBounds, pickPit, findPit, showFocusRing, highlightMoveOutcome, clearHighlights, showAnalysis, clearAnalysis, pulseHint, stopHint, animateMove } from "./board-visual.js";
+
+// localStorage keys holding the game in progress and the players' names
+const AUTOSAVE_KEY = "nd-mancala:autosave";
+const NAMES_KEY = "nd-mancala:names";
+
+// Preset camera views, as directions from the board's centre to the camera.
+// Player 1's pits are on the -x side of the board.
+const CAMERA_VIEWS = {
+  isometric: { label: "Isometric", direction: [1, 1, 1] },
+  top: { label: "Top down", direction: [0.001, 1, 0] },
+  player1: { label: "Player 1 side", direction: [-1, 1, 0] },
+  player2: { label: "Player 2 side", direction: [1, 1, 0] },
+};
+const DEFAULT_VIEW = "player2";
+const VIEW_TRANSITION_MS = 600;
+// Pointer travel in pixels after which a press is a camera drag, not a click
+const CLICK_TOLERANCE = 5;
+// The pits slider's range shrinks as dimensions are added, so boards stay
+// within MAX_PITS_PER_SIDE
+const MAX_POCKETS_SLIDER = 10;
+
+/**
+ * Largest pits per side for which a board stays within MAX_PITS_PER_SIDE
+ * @param {number} dimensions
+ * @returns {number}
+ */
+function maxPocketsPerSide(dimensions) {
+  let pockets = 1;
+  while (pockets < MAX_POCKETS_SLIDER && (pockets + 1) ** (dimensions - 1) <= MAX_PITS_PER_SIDE) {
+    pockets++;
+  }
+  return pockets;
+}
 
 /**
  * Manages the game's 3D scene and rendering
@@ -10,8 +58,10 @@ class GameRenderer {
     this.setupScene();
     this.setupLighting();
     this.setupCamera();
+    this.setupControls();
     this.setupInteraction();
     this.setupResizeHandler();
+    this.perfHud = new PerfHud(document.getElementById("perfHud"));
   }
 
   setupScene() {
@@ -52,11 +102,119 @@ class GameRenderer {
     );
     this.camera.position.set(12, 12, 0);
     this.camera.lookAt(0, 0, 0);
+    this.framedBounds = null;
+    this.view = DEFAULT_VIEW;
+    this.cameraTween = null;
+  }
+
+  /**
+   * Orbit with the left button, pan with the right one and zoom with the wheel
+   */
+  setupControls() {
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    // Keep the camera above the board
+    this.controls.maxPolarAngle = Math.PI / 2 - 0.05;
+    // Grabbing the camera stops a preset view from swinging it further
+    this.controls.addEventListener("start", () => {
+      this.cameraTween = null;
+    });
+  }
+
+  /**
+   * Fits a new board in the window, seen from the current preset view
+   * @param {THREE.Box3} bounds - Box enclosing the board
+   */
+  frameBoard(bounds) {
+    this.framedBounds = bounds;
+    this.setView(this.view, false);
+  }
+
+  /**
+   * Points the camera at the board from one of the preset views
+   * @param {string} name - Key of CAMERA_VIEWS
+   * @param {boolean} [animate=true] - Swing round to the view instead of jumping
+   */
+  setView(name, animate = true) {
+    this.view = name;
+    if (!this.framedBounds) return;
+
+    const center = this.framedBounds.getCenter(new THREE.Vector3());
+    const radius = this.framedBounds.getBoundingSphere(new THREE.Sphere()).radius;
+    const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+    const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+    const distance = radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2);
+    const direction = new THREE.Vector3(...CAMERA_VIEWS[name].direction).normalize();
+    const position = center.clone().addScaledVector(direction, distance);
+
+    this.camera.far = Math.max(1000, distance * 4);
+    this.camera.updateProjectionMatrix();
+    this.controls.maxDistance = distance * 3;
+
+    if (animate) {
+      this.cameraTween = {
+        start: performance.now(),
+        fromTarget: this.controls.target.clone(),
+        toTarget: center,
+        from: new THREE.Spherical().setFromVector3(
+          this.camera.position.clone().sub(this.controls.target)
+        ),
+        to: new THREE.Spherical().setFromVector3(position.clone().sub(center)),
+      };
+    } else {
+      this.cameraTween = null;
+      this.camera.position.copy(position);
+      this.controls.target.copy(center);
+      this.controls.update();
+    }
+  }
+
+  /**
+   * Advances a camera swing started by setView. The camera moves around the
+   * board rather than straight through it.
+   */
+  updateCameraTween() {
+    const tween = this.cameraTween;
+    if (!tween) return;
+
+    const t = Math.min((performance.now() - tween.start) / VIEW_TRANSITION_MS, 1);
+    const eased = t * t * (3 - 2 * t);
+    // Turn the short way round
+    let turn = tween.to.theta - tween.from.theta;
+    turn -= Math.round(turn / (Math.PI * 2)) * Math.PI * 2;
+    const spherical = new THREE.Spherical(
+      THREE.MathUtils.lerp(tween.from.radius, tween.to.radius, eased),
+      THREE.MathUtils.lerp(tween.from.phi, tween.to.phi, eased),
+      tween.from.theta + turn * eased
+    );
+
+    this.controls.target.lerpVectors(tween.fromTarget, tween.toTarget, eased);
+    this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+    this.controls.update();
+    if (t === 1) {
+      this.cameraTween = null;
+    }
   }
 
   setupInteraction() {
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
+    this.pointerDown = null;
+    this.renderer.domElement.addEventListener("pointerdown", (event) => {
+      this.pointerDown = { x: event.clientX, y: event.clientY };
+    });
+  }
+
+  /**
+   * Whether a click or button release ends a press on the board rather than
+   * a drag of the camera
+   */
+  isClick(event) {
+    if (!this.pointerDown) return true;
+    const travel = Math.hypot(
+      event.clientX - this.pointerDown.x,
+      event.clientY - this.pointerDown.y
+    );
+    return travel <= CLICK_TOLERANCE;
   }
 
   setupResizeHandler() {
@@ -69,7 +227,9 @@ class GameRenderer {
 
   animate() {
     requestAnimationFrame(() => this.animate());
+    this.updateCameraTween();
     this.renderer.render(this.scene, this.camera);
+    this.perfHud.update(this.renderer);
   }
 }
 
@@ -79,15 +239,62 @@ class GameRenderer {
 class Game {
   constructor() {
     this.renderer = new GameRenderer();
+    // Board used by the next restart
+    this.dimensions = 2;
+    this.pocketsPerSide = 6;
     this.initialStones = 4; // Default number of stones
-    this.gameState = new GameState(2, 6);
-    this.boardVisuals = renderBoard(this.gameState, this.renderer.scene);
+    this.layout = "uniform"; // Or a key of SETUP_PRESETS
+    this.rulesPreset = "kalah";
+    // Whether the seed field holds a seed picked for the next game rather
+    // than the current game's
+    this.seedChosen = false;
+    this.setupMode = false;
+    this.history = this.loadAutosave() ??
+      new GameHistory(new GameState(this.dimensions, this.pocketsPerSide));
+    this.players = { 1: "human", 2: "human" };
+    this.names = this.loadNames();
+    this.announcer = new Announcer(document.getElementById('announcer'));
+    // Pit under the keyboard cursor, or null until the arrow keys are used
+    this.keyboardFocus = null;
+    this.hud = new ScoreHud(document.getElementById('scoreHud'));
+    this.difficulty = "medium";
+    this.computer = new ComputerPlayer();
+    this.aiThinking = false;
+    // A second worker, so analysis never waits for the computer's move
+    this.analyst = new ComputerPlayer();
+    this.analysisMode = false;
+    // Latest analysis request: {state, result} with a promise of the scores
+    this.analysis = null;
+    // Set while playing over the network: {client, player, seats}
+    this.online = null;
+    // Set while watching a replay: {playing, timer, speed}
+    this.replay = null;
+    this.animation = null;
+    this.animationSpeed = 1;
+    this.skipAnimationOnClick = true;
+    this.autoRotate = false;
+    this.buildBoard();
     this.setupClickHandler();
     this.setupHoverHandler();
     this.setupMenuHandlers();
+    this.setupGameOverHandlers();
+    this.setupHistoryHandlers();
+    this.setupReplayHandlers();
+    this.setupKeyboardHandlers();
+    this.showSetup();
+    this.showHistoryPosition();
+    this.resumeOnline();
+    this.openReplayLink();
     this.renderer.animate();
   }
 
+  /**
+   * The position currently shown, which is wherever the history cursor is
+   */
+  get gameState() {
+    return this.history.current;
+  }
+
   setupMenuHandlers() {
     // Menu toggle button
     const menuButton = document.getElementById('menuButton');
@@ -97,13 +304,186 @@ class Game {
       menuPanel.style.display = isVisible ? 'none' : 'block';
     });
 
-    // Stones slider
-    const stonesSlider = document.getElementById('stonesSlider');
-    const stonesValue = document.getElementById('stonesValue');
-    stonesSlider.addEventListener('input', (event) => {
-      const value = event.target.value;
-      stonesValue.textContent = value;
-      this.initialStones = parseInt(value);
+    // Board size and stones, applied on restart
+    const setupSliders = {
+      dimensions: 'dimensionsSlider',
+      pocketsPerSide: 'pitsSlider',
+      initialStones: 'stonesSlider',
+    };
+    Object.entries(setupSliders).forEach(([setting, id]) => {
+      document.getElementById(id).addEventListener('input', (event) => {
+        this[setting] = parseInt(event.target.value);
+        this.limitBoardSize();
+        this.showSetupValues();
+      });
+    });
+
+    // Starting layout, applied on restart
+    const layoutSelect = document.getElementById('layoutSelect');
+    Object.entries(SETUP_PRESETS).forEach(([key, preset]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = preset.label;
+      layoutSelect.appendChild(option);
+    });
+    layoutSelect.addEventListener('change', (event) => {
+      this.layout = event.target.value;
+    });
+
+    // Placing stones by hand
+    document.getElementById('editPositionButton').addEventListener('click', () => {
+      this.setSetupMode(!this.setupMode);
+    });
+    document.getElementById('setupTurnButton').addEventListener('click', () => {
+      const state = this.gameState.clone();
+      state.currentPlayer = state.currentPlayer === 1 ? 2 : 1;
+      this.editPosition(state);
+    });
+    document.getElementById('setupClearButton').addEventListener('click', () => {
+      const state = this.gameState.clone();
+      for (let player = 1; player <= 2; player++) {
+        state.getPitCoordinates().forEach((coords) => state.setStonesAt(player, coords, 0));
+      }
+      state.mancalas = { player1: 0, player2: 0 };
+      this.editPosition(state);
+    });
+    document.getElementById('setupDoneButton').addEventListener('click', () => {
+      this.setSetupMode(false);
+    });
+    document.getElementById('setupPanel').addEventListener('click', (event) => {
+      event.stopPropagation();
+    });
+
+    // Rule variant, applied on restart
+    const rulesSelect = document.getElementById('rulesSelect');
+    Object.entries(RULE_PRESETS).forEach(([key, preset]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = preset.label;
+      rulesSelect.appendChild(option);
+    });
+    rulesSelect.value = this.rulesPreset;
+    rulesSelect.addEventListener('change', (event) => {
+      this.rulesPreset = event.target.value;
+    });
+
+    // Seed of the next game; shows the current game's seed until changed
+    document.getElementById('seedInput').addEventListener('input', () => {
+      this.seedChosen = true;
+    });
+    document.getElementById('newSeedButton').addEventListener('click', () => {
+      document.getElementById('seedInput').value = randomSeed();
+      this.seedChosen = true;
+    });
+
+    // Name and human or computer for each seat
+    [1, 2].forEach((player) => {
+      const nameInput = document.getElementById(`player${player}Name`);
+      nameInput.value = this.names[player];
+      nameInput.addEventListener('input', (event) => {
+        this.names[player] = event.target.value.trim() || `Player ${player}`;
+        this.saveNames();
+        this.updateHud();
+      });
+
+      const select = document.getElementById(`player${player}Select`);
+      select.addEventListener('change', (event) => {
+        this.players[player] = event.target.value;
+        this.updateHud();
+        this.playComputerTurn();
+      });
+    });
+
+    // Computer difficulty
+    const difficultySelect = document.getElementById('difficultySelect');
+    difficultySelect.addEventListener('change', (event) => {
+      this.difficulty = event.target.value;
+    });
+    document.getElementById('endgameInput').addEventListener('change', (event) => {
+      const [file] = event.target.files;
+      if (file) this.loadEndgameTable(file);
+    });
+
+    // Animation speed and skipping
+    const speedSlider = document.getElementById('animationSpeedSlider');
+    const speedValue = document.getElementById('animationSpeedValue');
+    speedSlider.addEventListener('input', (event) => {
+      this.animationSpeed = parseFloat(event.target.value);
+      speedValue.textContent = `${this.animationSpeed}x`;
+    });
+    const skipCheckbox = document.getElementById('skipAnimationCheckbox');
+    skipCheckbox.addEventListener('change', (event) => {
+      this.skipAnimationOnClick = event.target.checked;
+    });
+
+    // Camera views
+    const viewSelect = document.getElementById('viewSelect');
+    Object.entries(CAMERA_VIEWS).forEach(([key, view]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = view.label;
+      viewSelect.appendChild(option);
+    });
+    viewSelect.value = this.renderer.view;
+    viewSelect.addEventListener('change', (event) => {
+      this.renderer.setView(event.target.value);
+    });
+    const autoRotateCheckbox = document.getElementById('autoRotateCheckbox');
+    autoRotateCheckbox.addEventListener('change', (event) => {
+      this.autoRotate = event.target.checked;
+      this.followTurn();
+    });
+
+    // Move analysis and hints
+    document.getElementById('analysisCheckbox').addEventListener('change', (event) => {
+      this.analysisMode = event.target.checked;
+      this.updateAnalysis();
+    });
+    document.getElementById('hintButton').addEventListener('click', () => this.showHint());
+
+    // Performance statistics
+    const perfCheckbox = document.getElementById('perfHudCheckbox');
+    perfCheckbox.addEventListener('change', (event) => {
+      this.renderer.perfHud.visible = event.target.checked;
+    });
+
+    // Export and import
+    const notationText = document.getElementById('notationText');
+    document.getElementById('exportGameButton').addEventListener('click', () => {
+      notationText.value = this.gameState.toNotation();
+      notationText.select();
+    });
+    document.getElementById('exportPositionButton').addEventListener('click', () => {
+      notationText.value = this.gameState.toPositionString();
+      notationText.select();
+    });
+    document.getElementById('importButton').addEventListener('click', () => {
+      this.importGame(notationText.value);
+    });
+    document.getElementById('shareLinkButton').addEventListener('click', () => {
+      notationText.value = replayLink(this.gameState.toNotation(), window.location.href);
+      notationText.select();
+    });
+
+    // Online play
+    const serverUrlInput = document.getElementById('serverUrlInput');
+    serverUrlInput.value = defaultServerUrl();
+    document.getElementById('hostButton').addEventListener('click', () => {
+      const notation = this.createGame().toNotation();
+      this.goOnline(serverUrlInput.value.trim(), (client) => client.host(notation, this.names[1]));
+    });
+    document.getElementById('joinButton').addEventListener('click', () => {
+      const code = document.getElementById('roomCodeInput').value.trim();
+      if (!code) return;
+      this.goOnline(serverUrlInput.value.trim(), (client) => client.join(code, this.names[2]));
+    });
+    document.getElementById('leaveButton').addEventListener('click', () => {
+      this.leaveOnline();
+    });
+
+    // Clicks on the menu are not meant for the board underneath
+    menuPanel.addEventListener('click', (event) => {
+      event.stopPropagation();
     });
 
     // Restart button
@@ -113,85 +493,1106 @@ class Game {
     });
   }
 
-  restartGame() {
-    // Create a new game state with the current number of initial stones
-    this.gameState = new GameState(2, 6);
-    
-    // Update the initial stones in the game state
-    for (let player = 1; player <= 2; player++) {
-      for (let pos = 0; pos < this.gameState.pocketsPerSide; pos++) {
-        this.gameState.setStonesAt(player, pos, this.initialStones);
+  setupGameOverHandlers() {
+    const playAgainButton = document.getElementById('playAgainButton');
+    playAgainButton.addEventListener('click', (event) => {
+      // Keep the click from reaching the board underneath
+      event.stopPropagation();
+      this.restartGame();
+    });
+    document.getElementById('replayButton').addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.startReplay();
+    });
+  }
+
+  setupHistoryHandlers() {
+    document.getElementById('undoButton').addEventListener('click', () => this.undo());
+    document.getElementById('redoButton').addEventListener('click', () => this.redo());
+
+    window.addEventListener('keydown', (event) => {
+      if (!event.ctrlKey && !event.metaKey) return;
+      // Text fields undo their own typing
+      if (event.target instanceof Element &&
+          event.target.closest('input, textarea, select')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        this.redo();
       }
+    });
+
+    // Clicks on the panel are not meant for the board underneath
+    document.getElementById('moveListPanel').addEventListener('click', (event) => {
+      event.stopPropagation();
+    });
+  }
+
+  setupReplayHandlers() {
+    const panel = document.getElementById('replayPanel');
+    panel.addEventListener('click', (event) => event.stopPropagation());
+
+    document.getElementById('replayStartButton').addEventListener('click', () => this.jumpToPly(0));
+    document.getElementById('replayBackButton').addEventListener('click', () => this.undo());
+    document.getElementById('replayPlayButton').addEventListener('click', () => this.toggleReplay());
+    document.getElementById('replayStepButton').addEventListener('click', () => this.redo());
+    document.getElementById('replayEndButton').addEventListener('click', () => {
+      this.jumpToPly(this.history.moves.length);
+    });
+    document.getElementById('replaySlider').addEventListener('input', (event) => {
+      this.jumpToPly(parseInt(event.target.value));
+    });
+    document.getElementById('replayExitButton').addEventListener('click', () => {
+      this.stopReplay();
+      this.showHistoryPosition();
+    });
+
+    const speedSelect = document.getElementById('replaySpeedSelect');
+    REPLAY_SPEEDS.forEach((speed) => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      option.selected = speed === 1;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.addEventListener('change', (event) => {
+      if (this.replay) this.replay.speed = parseFloat(event.target.value);
+    });
+
+    // Replays from the menu, from a saved file or from a shared link
+    document.getElementById('replayGameButton').addEventListener('click', () => this.startReplay());
+    document.getElementById('replayFileInput').addEventListener('change', async (event) => {
+      const [file] = event.target.files;
+      if (!file) return;
+      this.openReplay(await file.text());
+      // Lets the same file be chosen again
+      event.target.value = '';
+    });
+    window.addEventListener('hashchange', () => this.openReplayLink());
+  }
+
+  /**
+   * Takes back the last move. Against the computer, keeps going back until a
+   * human is to move so the computer doesn't immediately replay.
+   */
+  undo() {
+    // Online the server's game is the only one; there is no taking back
+    if (this.online) return;
+    if (this.replay) {
+      this.jumpToPly(this.history.cursor - 1);
+      return;
     }
+    this.finishAnimation();
+    this.computer.cancel();
+    this.aiThinking = false;
+    if (!this.history.undo()) return;
+    const hasHuman = Object.values(this.players).includes("human");
+    while (hasHuman && this.players[this.gameState.currentPlayer] !== "human" && this.history.undo());
+    this.showHistoryPosition();
+  }
+
+  redo() {
+    if (this.online) return;
+    if (this.replay) {
+      this.pauseReplay();
+      this.stepReplay();
+      return;
+    }
+    this.finishAnimation();
+    if (!this.history.redo()) return;
+    this.showHistoryPosition();
+  }
+
+  /**
+   * Shows the position after a given ply of the move list
+   */
+  jumpToPly(ply) {
+    if (this.online) return;
+    this.pauseReplay();
+    this.finishAnimation();
+    this.computer.cancel();
+    this.aiThinking = false;
+    this.history.jumpTo(ply);
+    this.showHistoryPosition();
+  }
+
+  showHistoryPosition() {
+    updateBoard(this.boardVisuals, this.gameState, this.renderer.scene);
+    clearHighlights(this.boardVisuals);
+    stopHint(this.boardVisuals);
+    // A replay shows the end of the game on the board, not in the overlay
+    if (this.gameState.isGameOver() && !this.replay) {
+      this.showGameOver();
+    } else {
+      this.hideGameOver();
+    }
+    this.refreshHistoryControls();
+    this.playComputerTurn();
+  }
+
+  refreshHistoryControls() {
+    document.getElementById('undoButton').disabled = !this.history.canUndo() || this.online !== null;
+    document.getElementById('redoButton').disabled = !this.history.canRedo() || this.online !== null;
+    document.getElementById('hintButton').disabled = this.gameState.isGameOver();
+    document.getElementById('replayGameButton').disabled =
+      this.history.moves.length === 0 || this.online !== null;
+    renderMoveList(document.getElementById('moveList'), this.history, (ply) => this.jumpToPly(ply));
+    this.showReplayControls();
+    this.updateHud();
+    // Every change to the history ends up here, so this keeps the save current
+    this.autosave();
+  }
+
+  /**
+   * Names of the players; online these are the names both players chose
+   */
+  seatNames() {
+    if (!this.online) return this.names;
+    const name = (player) => this.online.seats[player]?.name ?? `Player ${player}`;
+    return { 1: name(1), 2: name(2) };
+  }
+
+  /**
+   * What the HUD calls each player
+   */
+  playerLabels() {
+    const names = this.seatNames();
+    const label = (player) => {
+      if (this.players[player] === "computer") return `${names[player]} (computer)`;
+      if (!this.online) return names[player];
+      if (player === this.online.player) return `${names[player]} (you)`;
+      const seat = this.online.seats[player];
+      return seat && !seat.connected ? `${names[player]} (offline)` : names[player];
+    };
+    return { 1: label(1), 2: label(2) };
+  }
+
+  /**
+   * Shows the current position in the HUD. While a move is being animated
+   * the HUD keeps showing the position before it until the stones land.
+   */
+  updateHud() {
+    if (this.animation) return;
+    this.hud.update(this.gameState, this.playerLabels());
+    this.followTurn();
+    this.showFocus();
+    this.updateAnalysis();
+  }
+
+  /**
+   * Analysis of the current position, worked out once per position
+   * @returns {Promise<Array<{coords: Array<number>, value: number}>|null>}
+   *   Every legal move with its value, see `analyzeMoves` in ai.js, or null
+   *   if the worker failed
+   */
+  requestAnalysis() {
+    const gameState = this.gameState;
+    if (this.analysis?.state !== gameState) {
+      // Nobody is waiting for the analysis of an earlier position
+      this.analyst.cancel();
+      const analysis = { state: gameState };
+      analysis.result = this.analyst.requestAnalysis(gameState).catch((error) => {
+        // Ask again next time rather than keep the failure
+        if (this.analysis === analysis) this.analysis = null;
+        this.showComputerError(error);
+        return null;
+      });
+      this.analysis = analysis;
+    }
+    return this.analysis.result;
+  }
+
+  /**
+   * Says that the AI worker failed; the next request starts a fresh one
+   * @param {Error} error
+   */
+  showComputerError(error) {
+    const message = `${error.message}. Restart the game or change a player to try again.`;
+    document.getElementById('computerError').textContent = message;
+    this.announcer.say(message);
+  }
+
+  /**
+   * In analysis mode, labels every pit the player to move can sow with what
+   * sowing it is worth
+   */
+  updateAnalysis() {
+    const gameState = this.gameState;
+    if (!this.analysisMode || this.setupMode || this.animation || gameState.isGameOver()) {
+      clearAnalysis(this.boardVisuals);
+      return;
+    }
+    this.requestAnalysis().then((analysis) => {
+      if (!analysis || gameState !== this.gameState || !this.analysisMode || this.animation) return;
+      const best = Math.max(...analysis.map(({ value }) => value));
+      const lead = formatEvaluation(best, gameState);
+      showAnalysis(this.boardVisuals, analysis.map(({ coords, value }) => {
+        const text = formatEvaluation(value, gameState);
+        let color = COLORS.ANALYSIS_OTHER;
+        if (value === best) {
+          color = COLORS.ANALYSIS_BEST;
+        } else if (text === "Loss" || (text.startsWith("-") && !lead.startsWith("-"))) {
+          // Moves that throw away a game or a gain the best move keeps
+          color = COLORS.ANALYSIS_LOSING;
+        }
+        return { player: gameState.currentPlayer, coords, text, color };
+      }));
+    });
+  }
+
+  /**
+   * Pulses the glow of the best pit to sow and says which it is
+   */
+  showHint() {
+    const gameState = this.gameState;
+    if (this.setupMode || gameState.isGameOver()) return;
+    this.requestAnalysis().then((analysis) => {
+      if (!analysis || gameState !== this.gameState) return;
+      // Wait for the board to catch up with the position before pointing at a pit
+      if (this.animation) {
+        this.animation.finished.then(() => this.showHint());
+        return;
+      }
+      // The first of equally good moves, in sowing order
+      const best = analysis.reduce((top, move) => (move.value > top.value ? move : top));
+      pulseHint(this.boardVisuals, findPit(this.boardVisuals, gameState.currentPlayer, best.coords));
+      this.announcer.say(`Hint: sow pit ${formatPit(best.coords)}, ${formatEvaluation(best.value, gameState)}.`);
+    });
+  }
+
+  /**
+   * With auto-rotate on, turns the camera to the side of the player to move
+   * when two people share the screen
+   */
+  followTurn() {
+    if (!this.autoRotate || this.animation || this.gameState.isGameOver()) return;
+    if (this.players[1] !== "human" || this.players[2] !== "human") return;
+    const view = `player${this.gameState.currentPlayer}`;
+    if (this.renderer.view !== view) {
+      this.renderer.setView(view);
+      document.getElementById('viewSelect').value = view;
+    }
+  }
+
+  loadNames() {
+    const defaults = { 1: "Player 1", 2: "Player 2" };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(NAMES_KEY)) };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveNames() {
+    try {
+      localStorage.setItem(NAMES_KEY, JSON.stringify(this.names));
+    } catch (error) {
+      // Names are a nicety; storage being unavailable is not worth reporting
+    }
+  }
+
+  showGameOver() {
+    const winner = this.gameState.getWinner();
+    const scores = this.gameState.getScores();
+    const names = this.seatNames();
+    document.getElementById('gameOverTitle').textContent =
+      winner === 0 ? "It's a draw!" : `${names[winner]} wins!`;
+    document.getElementById('gameOverScores').textContent =
+      `${names[1]}: ${scores.player1} — ${names[2]}: ${scores.player2}`;
+    document.getElementById('gameOverOverlay').style.display = 'flex';
+  }
+
+  hideGameOver() {
+    document.getElementById('gameOverOverlay').style.display = 'none';
+  }
+
+  /**
+   * Gives the computer player and the analysis an endgame table built with
+   * the CLI, for perfect play in the positions it holds
+   * @param {File} file
+   */
+  async loadEndgameTable(file) {
+    const status = document.getElementById('endgameStatus');
+    const errorDisplay = document.getElementById('endgameError');
+    const bytes = await file.arrayBuffer();
+    let table;
+    try {
+      table = EndgameTable.fromBytes(bytes);
+    } catch (error) {
+      errorDisplay.textContent = error.message;
+      return;
+    }
+    errorDisplay.textContent = '';
+    status.textContent =
+      `${table.dimensions}:${table.pocketsPerSide} board, up to ${table.maxStones} stones`;
+
+    this.computer.useEndgameTable(bytes);
+    this.analyst.useEndgameTable(bytes);
+    // Scores worked out without the table are no longer the best available
+    this.analyst.cancel();
+    this.analysis = null;
+    this.updateAnalysis();
+  }
+
+  /**
+   * Loads game notation, or a position string played with the selected rules
+   */
+  importGame(text) {
+    const errorDisplay = document.getElementById('notationError');
+    if (this.online) {
+      errorDisplay.textContent = 'Leave the online game to load another';
+      return;
+    }
+    const trimmed = text.trim();
+    let state;
+    try {
+      state = trimmed.startsWith('[')
+        ? GameState.fromNotation(trimmed)
+        : GameState.fromPositionString(trimmed, {
+            rules: RULE_PRESETS[this.rulesPreset].rules,
+            seed: this.readSeed(),
+          });
+    } catch (error) {
+      errorDisplay.textContent = error.message;
+      return;
+    }
+    errorDisplay.textContent = '';
+    this.loadGame(state);
+  }
+
+  /**
+   * Replaces the current game, rebuilding the board for its size and rules
+   * @param {GameState} state
+   * @param {Object} [options={}]
+   * @param {boolean} [options.replay=false] - Open it as a replay, leaving the saved game alone
+   */
+  loadGame(state, { replay = false } = {}) {
+    this.stopReplay();
+    this.setSetupMode(false, false);
+    this.finishAnimation();
+    this.computer.cancel();
+    this.aiThinking = false;
+    this.history = GameHistory.fromGame(state);
+    this.buildBoard();
+    this.showSetup();
+    if (replay) {
+      this.startReplay();
+    } else {
+      this.showHistoryPosition();
+    }
+  }
+
+  /**
+   * Replaces the board in the scene with one for the current game and points
+   * the camera at it
+   */
+  buildBoard() {
+    if (this.boardVisuals) {
+      disposeBoard(this.boardVisuals, this.renderer.scene);
+    }
+    this.boardVisuals = renderBoard(this.gameState, this.renderer.scene);
+    this.renderer.frameBoard(getBoardBounds(this.boardVisuals));
+    this.keyboardFocus = null;
+  }
+
+  /**
+   * Sets the menu's board settings to the current game, so restarting plays
+   * the same kind of board again, and shows its seed, e.g. to quote in a bug
+   * report
+   */
+  showSetup() {
+    const gameState = this.gameState;
+    this.dimensions = gameState.dimensions;
+    this.pocketsPerSide = gameState.pocketsPerSide;
+    // Games from a custom layout keep the slider where it was
+    if (gameState.initialStones !== null) {
+      this.initialStones = gameState.initialStones;
+    }
+    this.limitBoardSize();
+    document.getElementById('dimensionsSlider').value = this.dimensions;
+    document.getElementById('pitsSlider').value = this.pocketsPerSide;
+    document.getElementById('stonesSlider').value = this.initialStones;
+    document.getElementById('seedInput').value = gameState.seed;
+    this.seedChosen = false;
+    this.showSetupValues();
+  }
+
+  /**
+   * Narrows the pits slider to the boards the renderer can handle with the
+   * chosen dimensions, lowering the pits per side if needed
+   */
+  limitBoardSize() {
+    const pitsSlider = document.getElementById('pitsSlider');
+    const max = maxPocketsPerSide(this.dimensions);
+    pitsSlider.max = max;
+    if (this.pocketsPerSide > max) {
+      this.pocketsPerSide = max;
+      pitsSlider.value = max;
+    }
+  }
+
+  /**
+   * Shows the chosen board settings next to their sliders
+   */
+  showSetupValues() {
+    document.getElementById('dimensionsValue').textContent = this.dimensions;
+    document.getElementById('pitsValue').textContent = this.pocketsPerSide;
+    document.getElementById('stonesValue').textContent = this.initialStones;
+    const pits = this.pocketsPerSide ** (this.dimensions - 1);
+    document.getElementById('boardSizeValue').textContent =
+      `${pits} pits per player`;
+  }
+
+  /**
+   * The seed entered in the menu, or a fresh one if the field is empty or
+   * still shows the current game's seed, so restarting does not deal the
+   * same random layout again
+   */
+  readSeed() {
+    const text = document.getElementById('seedInput').value;
+    return this.seedChosen && text.trim() ? parseSeed(text) : randomSeed();
+  }
+
+  /**
+   * Restores the game saved before the page was last closed
+   * @returns {GameHistory|null} The saved game, or null if there is none
+   */
+  loadAutosave() {
+    try {
+      const saved = localStorage.getItem(AUTOSAVE_KEY);
+      return saved ? GameHistory.fromGame(GameState.fromNotation(saved)) : null;
+    } catch {
+      // An unreadable save is dropped; with storage disabled even that fails
+      try {
+        localStorage.removeItem(AUTOSAVE_KEY);
+      } catch {
+        // Nothing saved to drop
+      }
+      return null;
+    }
+  }
+
+  autosave() {
+    // A replay is only watched; the saved game stays the one being played
+    if (this.replay) return;
+    try {
+      localStorage.setItem(AUTOSAVE_KEY, this.gameState.toNotation());
+    } catch {
+      // Storage may be full or disabled; the game still works without it
+    }
+  }
+
+  /**
+   * Connects to an online server and hands the connection to `start`, which
+   * hosts or joins a room. Nobody can move until the server has seated us.
+   * @param {string} url - Server address
+   * @param {(client: OnlineClient) => void} start
+   */
+  goOnline(url, start) {
+    this.leaveOnline();
+    this.stopReplay();
+    this.finishAnimation();
+    this.computer.cancel();
+    this.aiThinking = false;
+    this.setSetupMode(false);
+
+    const client = new OnlineClient(url, {
+      onJoined: (session) => this.joinedOnline(session),
+      onState: (message) => this.receiveOnlineState(message),
+      onError: (message) => this.showOnlineError(message),
+      onStatus: (status) => this.showOnlineStatus(status),
+    });
+    this.online = { client, player: null, code: null, seats: { 1: null, 2: null } };
+    this.players = { 1: "remote", 2: "remote" };
+    document.getElementById('onlineError').textContent = '';
+    this.showOnlineControls();
+    this.refreshHistoryControls();
+    start(client);
+  }
+
+  /**
+   * Picks up the online game this tab was playing before a reload
+   */
+  resumeOnline() {
+    const session = OnlineClient.savedSession();
+    if (session) {
+      this.goOnline(session.url, (client) => client.rejoin(session));
+    }
+  }
+
+  joinedOnline(session) {
+    const other = session.player === 1 ? 2 : 1;
+    this.online.player = session.player;
+    this.online.code = session.code;
+    this.players = { [session.player]: "human", [other]: "remote" };
+    this.showOnlineStatus();
+  }
+
+  /**
+   * Goes back to playing on this device. The online game stays on the board.
+   */
+  leaveOnline() {
+    if (!this.online) return;
+    this.online.client.leave();
+    this.online = null;
+    this.players = {
+      1: document.getElementById('player1Select').value,
+      2: document.getElementById('player2Select').value,
+    };
+    this.showOnlineStatus();
+    this.showOnlineControls();
+    this.refreshHistoryControls();
+    this.playComputerTurn();
+  }
+
+  /**
+   * Shows the game the server sent. The opponent's moves are played here so
+   * they are animated; anything else, like joining or reconnecting, loads
+   * the server's game in place of ours.
+   */
+  receiveOnlineState(message) {
+    this.online.code = message.code;
+    this.online.seats = message.players;
+    this.showOnlineStatus();
+
+    if (message.notation === this.gameState.toNotation()) {
+      // Only the players changed, or this confirms our own move
+      this.updateHud();
+      return;
+    }
+    const next = message.move ? this.gameState.clone() : null;
+    if (next?.isValidMove(message.move)) {
+      next.performMove(message.move);
+      if (next.toNotation() === message.notation) {
+        this.finishAnimation();
+        this.makeMove(message.move);
+        return;
+      }
+    }
+    let state;
+    try {
+      state = GameState.fromNotation(message.notation);
+    } catch (error) {
+      // Nothing to play on; keep our own game on the board
+      this.leaveOnline();
+      document.getElementById('onlineError').textContent =
+        `The server sent a game that could not be read: ${error.message}`;
+      return;
+    }
+    this.loadGame(state);
+  }
+
+  showOnlineError(message) {
+    // A refused host, join or rejoin leaves nothing to play
+    if (!this.online.client.joined) {
+      this.leaveOnline();
+    }
+    document.getElementById('onlineError').textContent = message;
+  }
+
+  /**
+   * Shows the room and opponent, or what the connection is doing
+   * @param {string|null} [connection=null] - Connection state, if not seated
+   */
+  showOnlineStatus(connection = null) {
+    let text = 'Playing on this device';
+    if (this.online && connection) {
+      text = connection;
+    } else if (this.online?.player) {
+      const opponent = this.online.seats[this.online.player === 1 ? 2 : 1];
+      const state = !opponent
+        ? 'waiting for an opponent'
+        : opponent.connected ? `playing ${opponent.name}` : `${opponent.name} is offline`;
+      text = `Room ${this.online.code}: ${state}`;
+    }
+    document.getElementById('onlineStatus').textContent = text;
+    this.updateHud();
+  }
+
+  /**
+   * Turns off the controls that would change the game behind the server's back
+   */
+  showOnlineControls() {
+    const online = this.online !== null;
+    ['hostButton', 'joinButton', 'restartButton', 'playAgainButton', 'editPositionButton',
+      'importButton', 'player1Select', 'player2Select'].forEach((id) => {
+      document.getElementById(id).disabled = online;
+    });
+    document.getElementById('leaveButton').disabled = !online;
+  }
+
+  /**
+   * A new game with the board, layout, rules and seed chosen in the menu
+   */
+  createGame() {
+    const pitCount = this.pocketsPerSide ** (this.dimensions - 1);
+    const setup = this.layout === "uniform"
+      ? this.initialStones
+      : { preset: this.layout, total: this.initialStones * pitCount };
+    return new GameState(this.dimensions, this.pocketsPerSide, setup, {
+      rules: RULE_PRESETS[this.rulesPreset].rules,
+      seed: this.readSeed(),
+    });
+  }
+
+  restartGame() {
+    // An online game can only be left, the server holds it
+    if (this.online) return;
+
+    // Drop any search, animation or replay still running for the old game
+    this.stopReplay();
+    this.finishAnimation();
+    this.computer.cancel();
+    this.aiThinking = false;
+
+    this.setSetupMode(false, false);
+
+    // Create a new game state with the chosen board and layout
+    const previousState = this.gameState;
+    const gameState = this.createGame();
+
+    // Start a fresh history from the new position
+    this.history = new GameHistory(gameState);
     
-    // Reset mancalas
-    this.gameState.mancalas.player1 = 0;
-    this.gameState.mancalas.player2 = 0;
-    
-    // Reset current player to 1
-    this.gameState.currentPlayer = 1;
-    
+    // A loaded game may have had another board size, mancalas move with the
+    // sowing direction and stone colours come from the seed; any of them
+    // needs a new board
+    const needsNewBoard =
+      gameState.dimensions !== previousState.dimensions ||
+      gameState.pocketsPerSide !== previousState.pocketsPerSide ||
+      gameState.rules.direction !== previousState.rules.direction ||
+      gameState.seed !== previousState.seed;
+    if (needsNewBoard) {
+      this.buildBoard();
+    }
+
     // Update the visual board
     updateBoard(this.boardVisuals, this.gameState, this.renderer.scene);
     clearHighlights(this.boardVisuals);
+    this.hideGameOver();
+    this.showSetup();
+    this.refreshHistoryControls();
+    this.playComputerTurn();
   }
 
-  setupClickHandler() {
-    window.addEventListener("click", (event) => this.handleClick(event));
+  /**
+   * Turns setup mode on or off. In setup mode clicks add stones to pits and
+   * shift-clicks or right-clicks take them away; the edited position becomes
+   * the start of a new game.
+   * @param {boolean} enabled
+   * @param {boolean} [resume=true] - Whether to carry on playing from the
+   *   position when leaving setup mode; callers about to replace the game pass false
+   */
+  setSetupMode(enabled, resume = true) {
+    if (enabled === this.setupMode || (enabled && this.online)) return;
+    this.setupMode = enabled;
+    document.getElementById('setupPanel').style.display = enabled ? 'block' : 'none';
+    document.getElementById('editPositionButton').textContent =
+      enabled ? 'Stop Editing' : 'Edit Position';
+
+    if (enabled) {
+      this.stopReplay();
+      this.finishAnimation();
+      this.computer.cancel();
+      this.aiThinking = false;
+      this.hideGameOver();
+      clearHighlights(this.boardVisuals);
+      stopHint(this.boardVisuals);
+      this.editPosition(this.gameState);
+    } else if (resume) {
+      // Going through the position string ends the game if a side was left
+      // empty, sweeping the other side's stones as play would
+      const edited = this.gameState;
+      this.history = new GameHistory(GameState.fromPositionString(edited.toPositionString(), {
+        rules: edited.rules,
+        seed: edited.seed,
+      }));
+      this.showHistoryPosition();
+    }
   }
 
-  setupHoverHandler() {
-    window.addEventListener("mousemove", (event) => this.handleHover(event));
+  /**
+   * Shows an edited position as the start of a fresh game
+   */
+  editPosition(state) {
+    // A snapshot drops the moves. Stones stay where they were put even with
+    // a side empty, so a board can be cleared and refilled; whether the game
+    // is over is settled when editing ends.
+    const position = GameState.fromSnapshot({ ...state.toSnapshot(), gameOver: false });
+    this.history = new GameHistory(position);
+    updateBoard(this.boardVisuals, this.gameState, this.renderer.scene);
+    document.getElementById('setupTurnButton').textContent =
+      `Player ${position.currentPlayer} to move`;
+    this.refreshHistoryControls();
   }
 
-  handleHover(event) {
-    // Calculate mouse position in normalized device coordinates
-    this.renderer.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.renderer.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  /**
+   * Adds stones to or takes them from a pit or mancala in setup mode
+   */
+  editPit(pit, change) {
+    const state = this.gameState.clone();
+    if (pit.coords) {
+      const count = state.getStonesAt(pit.player, pit.coords) + change;
+      state.setStonesAt(pit.player, pit.coords, Math.max(count, 0));
+    } else {
+      const key = `player${pit.player}`;
+      state.mancalas[key] = Math.max(state.mancalas[key] + change, 0);
+    }
+    this.editPosition(state);
+  }
 
-    // Update the picking ray
-    this.renderer.raycaster.setFromCamera(
-      this.renderer.mouse,
-      this.renderer.camera
+  /**
+   * Applies a move for the player to move and hands over to the computer if
+   * it is to play next
+   */
+  makeMove(coords) {
+    const player = this.gameState.currentPlayer;
+    const move = this.history.push(coords);
+    if (!move) return;
+    const gameState = this.gameState;
+    // Online, our own moves are shown at once and checked by the server,
+    // which passes them on to the opponent
+    if (this.online && this.players[player] === "human") {
+      this.online.client.sendMove(coords);
+    }
+
+    stopHint(this.boardVisuals);
+    clearAnalysis(this.boardVisuals);
+    const animation = animateMove(
+      this.boardVisuals,
+      { ...move, state: gameState },
+      this.renderer.scene,
+      { speed: this.animationSpeed }
     );
+    this.animation = animation;
+    this.refreshHistoryControls();
+    this.showFocus();
+    this.announcer.say(describeMoveForSpeech(move, gameState, this.seatNames()));
+    animation.finished.then(() => {
+      if (this.animation === animation) {
+        this.animation = null;
+      }
+      // Undo, restart or loading a game while animating moved on without us
+      if (gameState !== this.gameState) return;
+      this.updateHud();
+      this.hud.notify(move);
+      if (gameState.isGameOver()) {
+        this.showGameOver();
+        return;
+      }
+      this.playComputerTurn();
+    });
+  }
+
+  /**
+   * Jumps an animation in progress to its end
+   */
+  finishAnimation() {
+    this.animation?.skip();
+    this.animation = null;
+  }
 
-    // Get clickable objects
-    const clickableObjects = [
-      ...this.boardVisuals.player1Pits,
-      ...this.boardVisuals.player2Pits,
-    ];
+  /**
+   * Shows the current game from its first move, with the replay controls in
+   * place of play. Nobody can move and the computer stays quiet until the
+   * replay is left.
+   */
+  startReplay() {
+    if (this.online || this.history.moves.length === 0) return;
+    this.setSetupMode(false, false);
+    this.finishAnimation();
+    this.computer.cancel();
+    this.aiThinking = false;
+    const speed = parseFloat(document.getElementById('replaySpeedSelect').value);
+    this.replay = { playing: false, timer: null, speed };
+    this.history.jumpTo(0);
+    this.showHistoryPosition();
+  }
+
+  /**
+   * Leaves replay mode where it is; callers show the position afterwards
+   */
+  stopReplay() {
+    if (!this.replay) return;
+    this.pauseReplay();
+    this.finishAnimation();
+    this.replay = null;
+    this.showReplayControls();
+  }
+
+  /**
+   * Plays a game in notation, e.g. from a saved file or a shared link, as a replay
+   * @param {string} text - Game notation
+   */
+  openReplay(text) {
+    const errorDisplay = document.getElementById('notationError');
+    if (this.online) {
+      errorDisplay.textContent = 'Leave the online game to watch a replay';
+      return;
+    }
+    let state;
+    try {
+      state = GameState.fromNotation(text);
+    } catch (error) {
+      errorDisplay.textContent = error.message;
+      return;
+    }
+    if (state.moves.length === 0) {
+      errorDisplay.textContent = 'This game has no moves to replay';
+      return;
+    }
+    errorDisplay.textContent = '';
+    this.loadGame(state, { replay: true });
+  }
+
+  /**
+   * Opens the replay in the page's URL hash, if there is one
+   */
+  openReplayLink() {
+    const notation = readReplayHash(window.location.hash);
+    if (notation !== null) {
+      this.openReplay(notation);
+    }
+  }
 
-    // Find intersections using bounding boxes
-    const intersects = clickableObjects.filter(pit => 
-      this.renderer.raycaster.ray.intersectsBox(pit.boundingBox)
+  toggleReplay() {
+    if (!this.replay) return;
+    if (this.replay.playing) {
+      this.pauseReplay();
+      return;
+    }
+    // Playing from the end starts over
+    if (!this.history.canRedo()) {
+      this.jumpToPly(0);
+    }
+    this.replay.playing = true;
+    this.stepReplay();
+  }
+
+  pauseReplay() {
+    if (!this.replay) return;
+    this.replay.playing = false;
+    clearTimeout(this.replay.timer);
+    this.replay.timer = null;
+    this.showReplayControls();
+  }
+
+  /**
+   * Animates the next ply of the replay, and while playing goes on to the
+   * one after once it has finished
+   */
+  stepReplay() {
+    if (!this.replay) return;
+    this.finishAnimation();
+    if (!this.history.redo()) {
+      this.pauseReplay();
+      return;
+    }
+    const move = this.history.moves[this.history.cursor - 1];
+    const gameState = this.gameState;
+
+    stopHint(this.boardVisuals);
+    clearAnalysis(this.boardVisuals);
+    const animation = animateMove(
+      this.boardVisuals,
+      { ...move, state: gameState },
+      this.renderer.scene,
+      { speed: this.animationSpeed * this.replay.speed }
     );
+    this.animation = animation;
+    this.refreshHistoryControls();
+    this.announcer.say(describeMoveForSpeech(move, gameState, this.seatNames()));
+    animation.finished.then(() => {
+      if (this.animation === animation) {
+        this.animation = null;
+      }
+      // Seeking, pausing or leaving the replay moved on without us
+      if (gameState !== this.gameState || !this.replay) return;
+      this.updateHud();
+      this.hud.notify(move);
+      if (!this.replay.playing) return;
+      if (this.history.canRedo()) {
+        this.replay.timer = setTimeout(() => this.stepReplay(), REPLAY_PAUSE_MS / this.replay.speed);
+      } else {
+        this.pauseReplay();
+      }
+    });
+  }
 
-    if (intersects.length > 0) {
-      const hoveredPit = intersects[0];
-      
-      // Determine hovered position and player
-      if (this.boardVisuals.player1Pits.includes(hoveredPit)) {
-        const position = this.boardVisuals.player1Pits.indexOf(hoveredPit);
-        // Only show preview if it's player 1's turn
-        if (this.gameState.currentPlayer === 1) {
-          const sequence = this.gameState.simulateMove(position);
-          highlightMoveSequence(this.boardVisuals, sequence);
-        }
-      } else if (this.boardVisuals.player2Pits.includes(hoveredPit)) {
-        const position = this.boardVisuals.player2Pits.indexOf(hoveredPit);
-        // Only show preview if it's player 2's turn
-        if (this.gameState.currentPlayer === 2) {
-          const sequence = this.gameState.simulateMove(position);
-          highlightMoveSequence(this.boardVisuals, sequence);
-        }
+  /**
+   * Shows the replay panel while replaying, with the controls matching the
+   * ply shown
+   */
+  showReplayControls() {
+    const panel = document.getElementById('replayPanel');
+    panel.style.display = this.replay ? 'block' : 'none';
+    if (!this.replay) return;
+
+    const { cursor, moves } = this.history;
+    const slider = document.getElementById('replaySlider');
+    slider.max = moves.length;
+    slider.value = cursor;
+    document.getElementById('replayPly').textContent = `Ply ${cursor} of ${moves.length}`;
+    document.getElementById('replayPlayButton').textContent = this.replay.playing ? 'Pause' : 'Play';
+    document.getElementById('replayStartButton').disabled = cursor === 0;
+    document.getElementById('replayBackButton').disabled = cursor === 0;
+    document.getElementById('replayStepButton').disabled = cursor === moves.length;
+    document.getElementById('replayEndButton').disabled = cursor === moves.length;
+  }
+
+  /**
+   * Lets the AI worker pick a move if the computer has the current turn
+   */
+  playComputerTurn() {
+    if (this.setupMode || this.replay || this.aiThinking || this.gameState.isGameOver()) return;
+    // Don't overwrite undone moves while the user is browsing the history
+    if (this.history.canRedo()) return;
+    if (this.players[this.gameState.currentPlayer] !== "computer") return;
+
+    this.aiThinking = true;
+    clearHighlights(this.boardVisuals);
+    document.getElementById('computerError').textContent = '';
+    const gameState = this.gameState;
+    this.computer.requestMove(gameState, this.difficulty).then((coords) => {
+      // Ignore answers for a game that has since been restarted
+      if (gameState !== this.gameState) return;
+      this.aiThinking = false;
+      if (coords) {
+        this.makeMove(coords);
+      }
+    }, (error) => {
+      if (gameState !== this.gameState) return;
+      this.aiThinking = false;
+      this.showComputerError(error);
+    });
+  }
+
+  /**
+   * Whether clicks and hovers should act on the board
+   */
+  acceptsInput() {
+    return !this.setupMode && !this.replay && !this.aiThinking && !this.animation &&
+      this.players[this.gameState.currentPlayer] === "human";
+  }
+
+  /**
+   * Arrow keys move a cursor over the pits of the player to move and Enter
+   * or Space sows the pit under it
+   */
+  setupKeyboardHandlers() {
+    const canvas = this.renderer.renderer.domElement;
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-label',
+      'Mancala board. Use the arrow keys to choose a pit and Enter to sow it.');
+
+    // Left and right step through the sowing order, so every pit can be
+    // reached on any board; up and down follow the grid's second axis
+    const steps = {
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+      ArrowUp: [1, -1],
+      ArrowDown: [1, 1],
+    };
+    window.addEventListener('keydown', (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      // Keys typed into the menu or pressed on its buttons are theirs
+      if (event.target instanceof Element &&
+          event.target.closest('input, textarea, select, button')) return;
+
+      if (event.key in steps) {
+        event.preventDefault();
+        this.moveFocus(...steps[event.key]);
+      } else if ((event.key === 'Enter' || event.key === ' ') && this.keyboardFocus) {
+        event.preventDefault();
+        this.playFocusedPit();
       }
+    });
+  }
+
+  /**
+   * Moves the keyboard cursor. The first key press puts it on the first pit
+   * that can be played.
+   * @param {number} axis - 0 to step through the sowing order, 1 for the grid's second axis
+   * @param {number} step - -1 or 1
+   */
+  moveFocus(axis, step) {
+    if (!this.acceptsInput()) return;
+    const gameState = this.gameState;
+    const order = gameState.getPitCoordinates();
+
+    if (!this.keyboardFocus) {
+      this.keyboardFocus = gameState.getValidMoves()[0] ?? order[0];
+    } else if (axis === 0 || gameState.pitShape.length < 2) {
+      const index = gameState.getPitIndex(this.keyboardFocus);
+      this.keyboardFocus = order[(index + step + order.length) % order.length];
+    } else {
+      const coords = [...this.keyboardFocus];
+      coords[1] = Math.min(Math.max(coords[1] + step, 0), gameState.pocketsPerSide - 1);
+      this.keyboardFocus = coords;
+    }
+    this.showFocus(true);
+  }
+
+  /**
+   * Rings the pit under the keyboard cursor and previews sowing it, like
+   * hovering it with the mouse would
+   * @param {boolean} [announce=false] - Also describe the pit to screen readers
+   */
+  showFocus(announce = false) {
+    const active = this.keyboardFocus !== null && this.acceptsInput();
+    const pit = active
+      ? findPit(this.boardVisuals, this.gameState.currentPlayer, this.keyboardFocus) ?? null
+      : null;
+    showFocusRing(this.boardVisuals, pit, this.renderer.scene);
+    if (!pit) return;
+
+    const outcome = this.gameState.simulateMove(this.keyboardFocus);
+    if (outcome) {
+      highlightMoveOutcome(this.boardVisuals, outcome);
     } else {
-      // Clear highlights when not hovering over any pit
       clearHighlights(this.boardVisuals);
     }
+    if (announce) {
+      this.announcer.say(describeFocus(this.gameState, this.keyboardFocus));
+    }
   }
 
-  handleClick(event) {
+  playFocusedPit() {
+    if (!this.acceptsInput()) return;
+    if (this.gameState.isValidMove(this.keyboardFocus)) {
+      this.makeMove(this.keyboardFocus);
+    } else {
+      this.announcer.say(describeFocus(this.gameState, this.keyboardFocus));
+    }
+  }
+
+  setupClickHandler() {
+    window.addEventListener("click", (event) => this.handleClick(event));
+    // Right-clicks take stones away in setup mode. The camera controls keep
+    // the browser's menu off the board, and a right-drag pans instead.
+    this.renderer.renderer.domElement.addEventListener("pointerup", (event) => {
+      if (!this.setupMode || event.button !== 2 || !this.renderer.isClick(event)) return;
+      const pit = this.pickPit(event);
+      if (pit) {
+        this.editPit(pit, -1);
+      }
+    });
+  }
+
+  setupHoverHandler() {
+    window.addEventListener("mousemove", (event) => this.handleHover(event));
+  }
+
+  /**
+   * Finds the pit or mancala under the mouse pointer. Hover and click both
+   * pick through here, so they always agree on what is under the pointer.
+   * @returns {THREE.Mesh|null} A pit, with `coords`, or a mancala, without
+   */
+  pickPit(event) {
     // Calculate mouse position in normalized device coordinates
     this.renderer.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     this.renderer.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -202,38 +1603,76 @@ class Game {
       this.renderer.camera
     );
 
-    // Get clickable objects
-    const clickableObjects = [
-      ...this.boardVisuals.player1Pits,
-      ...this.boardVisuals.player2Pits,
-    ];
+    return pickPit(this.boardVisuals, this.renderer.raycaster);
+  }
 
-    // Find intersections using bounding boxes
-    const intersects = clickableObjects.filter(pit => 
-      this.renderer.raycaster.ray.intersectsBox(pit.boundingBox)
-    );
+  handleHover(event) {
+    // Ignore the pointer passing over the menu and panels
+    const overBoard = event.target === this.renderer.renderer.domElement;
+    const hovered = overBoard ? this.pickPit(event) : null;
+    // The mouse takes over from the keyboard cursor
+    if (overBoard && this.keyboardFocus) {
+      this.keyboardFocus = null;
+      showFocusRing(this.boardVisuals, null, this.renderer.scene);
+    }
+    this.showTooltip(hovered && !hovered.coords ? hovered : null, event);
+    if (!this.acceptsInput()) return;
 
-    if (intersects.length > 0) {
-      const clickedPit = intersects[0];
-      
-      // Determine clicked position and player
-      if (this.boardVisuals.player1Pits.includes(clickedPit)) {
-        const position = this.boardVisuals.player1Pits.indexOf(clickedPit);
-        // Only allow moves if it's player 1's turn
-        if (this.gameState.currentPlayer === 1) {
-          if (this.gameState.isValidMove(position)) {
-            this.gameState.performMove(position);
-            animateMove(this.boardVisuals, this.gameState, this.renderer.scene);
-          }
-        }
-      } else if (this.boardVisuals.player2Pits.includes(clickedPit)) {
-        const position = this.boardVisuals.player2Pits.indexOf(clickedPit);
-        // Only allow moves if it's player 2's turn
-        if (this.gameState.currentPlayer === 2) {
-          if (this.gameState.isValidMove(position)) {
-            this.gameState.performMove(position);
-            animateMove(this.boardVisuals, this.gameState, this.renderer.scene);
-          }
+    // Only show a preview for the pits of the player to move
+    const outcome = hovered?.coords && hovered.player === this.gameState.currentPlayer
+      ? this.gameState.simulateMove(hovered.coords)
+      : null;
+    if (outcome) {
+      highlightMoveOutcome(this.boardVisuals, outcome);
+    } else {
+      clearHighlights(this.boardVisuals);
+    }
+  }
+
+  /**
+   * Shows how many stones a mancala holds next to the pointer
+   * @param {THREE.Mesh|null} mancala - Mancala under the pointer, or null to hide
+   */
+  showTooltip(mancala, event) {
+    const tooltip = document.getElementById('pitTooltip');
+    if (!mancala) {
+      tooltip.style.display = 'none';
+      return;
+    }
+    // The count on the board, which lags the game while stones are moving
+    const count = mancala.stones.length;
+    tooltip.textContent =
+      `${this.seatNames()[mancala.player]}'s mancala: ${count} ${count === 1 ? 'stone' : 'stones'}`;
+    tooltip.style.left = `${event.clientX + 14}px`;
+    tooltip.style.top = `${event.clientY + 14}px`;
+    tooltip.style.display = 'block';
+  }
+
+  handleClick(event) {
+    // The end of a camera drag is not a click on the board
+    if (!this.renderer.isClick(event)) return;
+    if (this.animation) {
+      if (this.skipAnimationOnClick) {
+        this.finishAnimation();
+      }
+      return;
+    }
+    if (this.setupMode) {
+      const pit = this.pickPit(event);
+      if (pit) {
+        this.editPit(pit, event.shiftKey ? -1 : 1);
+      }
+      return;
+    }
+    if (!this.acceptsInput()) return;
+
+    const clickedPit = this.pickPit(event);
+    // Mancalas can be hovered but not played
+    if (clickedPit?.coords) {
+      // Only allow moves on the pits of the player to move
+      if (clickedPit.player === this.gameState.currentPlayer) {
+        if (this.gameState.isValidMove(clickedPit.coords)) {
+          this.makeMove(clickedPit.coords);
         }
       }
     }
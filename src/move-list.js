@@ -0,0 +1,46 @@
+/**
+ * Formats pit coordinates for display, counting from 1 like players do
+ */
+export function formatPit(coords) {
+  return coords.map((c) => c + 1).join(",");
+}
+
+/**
+ * Describes a move record in one line, e.g. "P1 pit 3: 4 stones, capture 5"
+ */
+export function describeMove(move) {
+  const parts = [`${move.stones} stone${move.stones === 1 ? "" : "s"}`];
+  if (move.captured > 0) {
+    parts.push(`capture ${move.captured}`);
+  }
+  if (move.extraTurn) {
+    parts.push("extra turn");
+  }
+  return `P${move.player} pit ${formatPit(move.coords)}: ${parts.join(", ")}`;
+}
+
+/**
+ * Renders the plies of a game history as a clickable list
+ * @param {HTMLElement} container - List element to fill
+ * @param {GameHistory} history - History to show
+ * @param {function(number): void} onSelect - Called with the ply to jump to
+ */
+export function renderMoveList(container, history, onSelect) {
+  const entries = [
+    "Start",
+    ...history.moves.map((move, i) => `${i + 1}. ${describeMove(move)}`),
+  ];
+
+  container.replaceChildren(
+    ...entries.map((text, ply) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      item.classList.toggle("current", ply === history.cursor);
+      item.classList.toggle("undone", ply > history.cursor);
+      item.addEventListener("click", () => onSelect(ply));
+      return item;
+    })
+  );
+
+  container.querySelector(".current")?.scrollIntoView({ block: "nearest" });
+}
@@ -0,0 +1,277 @@
+import { reshape } from "mathjs";
+import { DEFAULT_RULES } from "./rules.js";
+
+/**
+ * Text formats for sharing games
+ *
+ * Position strings describe a single position in one line, similar in spirit
+ * to chess FEN:
+ *
+ *     2:6 4*6/3,0,5,5,5,5 1/0 2
+ *
+ * The fields are `dimensions:pocketsPerSide`, player 1's and player 2's pits,
+ * player 1's and player 2's mancalas, and the player to move. Pits are listed
+ * in row-major order of each player's grid, and `n*k` stands for k pits of n
+ * stones.
+ *
+ * Game notation is a PGN-like header of tags followed by the numbered plies,
+ * each ply being the 1-based coordinates of the sown pit joined with dots:
+ *
+ *     [Dimensions "3"]
+ *     [PitsPerSide "4"]
+ *     [InitialStones "4"]
+ *     [Rules "capture=always relay=true"]
+ *     [Seed "1234567"]
+ *
+ *     1. 1.3 2. 4.2 3. 2.2
+ *
+ * `InitialStones` is left out for games set up with a custom layout. `Rules`
+ * lists only rules that differ from Kalah and is left out when there are
+ * none. `Seed` holds the seed the game's randomness is drawn from. A
+ * `Start` tag holding a position string is added when the game did not start
+ * from the usual uniform layout, and a `Result` tag holds the final scores of
+ * a finished game.
+ */
+
+// Largest boards notation may describe, which are also the largest the menu
+// offers; bigger boards take the browser seconds to build and draw. Text can
+// come from anywhere (pasted games, files, links, the online server), so
+// sizes are checked before anything is allocated for them.
+export const MAX_DIMENSIONS = 8;
+export const MAX_PITS_PER_SIDE = 216;
+
+export class NotationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotationError";
+  }
+}
+
+function encodePits(board) {
+  const counts = board.flat(Infinity);
+  const runs = [];
+  for (let i = 0; i < counts.length; ) {
+    let length = 1;
+    while (counts[i + length] === counts[i]) length++;
+    runs.push(length > 1 ? `${counts[i]}*${length}` : `${counts[i]}`);
+    i += length;
+  }
+  return runs.join(",");
+}
+
+function parseCount(text, what) {
+  if (!/^\d+$/.test(text)) {
+    throw new NotationError(`Invalid ${what} "${text}"`);
+  }
+  return parseInt(text, 10);
+}
+
+/**
+ * Checks that a board can be built: at least 2 dimensions and a pit per
+ * side, and small enough
+ * @param {number} dimensions
+ * @param {number} pocketsPerSide
+ * @throws {NotationError} If it is too small or has too many dimensions or pits
+ */
+export function checkBoardSize(dimensions, pocketsPerSide) {
+  if (!(dimensions >= 2) || !(pocketsPerSide >= 1)) {
+    throw new NotationError(`Invalid board size ${dimensions}:${pocketsPerSide}`);
+  }
+  if (dimensions > MAX_DIMENSIONS) {
+    throw new NotationError(`Boards have at most ${MAX_DIMENSIONS} dimensions, got ${dimensions}`);
+  }
+  const pits = pocketsPerSide ** (dimensions - 1);
+  if (pits > MAX_PITS_PER_SIDE) {
+    throw new NotationError(`Boards have at most ${MAX_PITS_PER_SIDE} pits per side, got ${pits}`);
+  }
+}
+
+function decodePits(text, shape) {
+  const expected = shape.reduce((product, size) => product * size, 1);
+  const counts = [];
+  for (const run of text.split(",")) {
+    const [stones, repeat = "1"] = run.split("*");
+    const count = parseCount(stones, "stone count");
+    const times = parseCount(repeat, "repeat count");
+    // Checked before filling, so a huge repeat count allocates nothing
+    if (counts.length + times > expected) {
+      throw new NotationError(`Expected ${expected} pits per side, got more`);
+    }
+    counts.push(...Array(times).fill(count));
+  }
+
+  if (counts.length !== expected) {
+    throw new NotationError(`Expected ${expected} pits per side, got ${counts.length}`);
+  }
+  return reshape(counts, shape);
+}
+
+/**
+ * Encodes a position as a position string
+ * @param {Object} snapshot - Position as returned by `GameState.toSnapshot`
+ * @returns {string} Position string
+ */
+export function encodePosition(snapshot) {
+  return [
+    `${snapshot.dimensions}:${snapshot.pocketsPerSide}`,
+    `${encodePits(snapshot.player1Board)}/${encodePits(snapshot.player2Board)}`,
+    `${snapshot.mancalas.player1}/${snapshot.mancalas.player2}`,
+    `${snapshot.currentPlayer}`,
+  ].join(" ");
+}
+
+/**
+ * Decodes a position string
+ * @param {string} text - Position string
+ * @returns {Object} Position in the form taken by `GameState.fromSnapshot`, without rules
+ */
+export function decodePosition(text) {
+  const fields = text.trim().split(/\s+/);
+  if (fields.length !== 4) {
+    throw new NotationError(`Position string needs 4 fields, got ${fields.length}`);
+  }
+  const [size, pits, mancalas, side] = fields;
+
+  const [dimensions, pocketsPerSide] = size.split(":").map((n) => parseCount(n, "board size"));
+  checkBoardSize(dimensions, pocketsPerSide);
+  const shape = Array(dimensions - 1).fill(pocketsPerSide);
+
+  const boards = pits.split("/");
+  const stores = mancalas.split("/");
+  if (boards.length !== 2 || stores.length !== 2) {
+    throw new NotationError("Pits and mancalas need one entry per player");
+  }
+  if (side !== "1" && side !== "2") {
+    throw new NotationError(`Invalid player to move "${side}"`);
+  }
+
+  const player1Board = decodePits(boards[0], shape);
+  const player2Board = decodePits(boards[1], shape);
+  const sideIsEmpty = (board) => board.flat(Infinity).every((count) => count === 0);
+
+  return {
+    dimensions,
+    pocketsPerSide,
+    currentPlayer: parseInt(side, 10),
+    player1Board,
+    player2Board,
+    mancalas: {
+      player1: parseCount(stores[0], "mancala count"),
+      player2: parseCount(stores[1], "mancala count"),
+    },
+    gameOver: sideIsEmpty(player1Board) || sideIsEmpty(player2Board),
+  };
+}
+
+/**
+ * Formats pit coordinates as a ply, e.g. [0, 2] as "1.3"
+ */
+export function formatPly(coords) {
+  return coords.map((c) => c + 1).join(".");
+}
+
+/**
+ * Parses a ply back into pit coordinates
+ */
+export function parsePly(text) {
+  return text.split(".").map((n) => parseCount(n, "pit") - 1);
+}
+
+function formatRules(rules, defaults) {
+  return Object.keys(defaults)
+    .filter((key) => rules[key] !== defaults[key])
+    .map((key) => `${key}=${rules[key]}`)
+    .join(" ");
+}
+
+function parseRules(text) {
+  const rules = {};
+  for (const pair of text.split(/\s+/).filter(Boolean)) {
+    const [key, value] = pair.split("=");
+    if (value === undefined) {
+      throw new NotationError(`Invalid rule "${pair}"`);
+    }
+    if (!Object.hasOwn(DEFAULT_RULES, key)) {
+      throw new NotationError(`Unknown rule "${key}"`);
+    }
+    if (typeof DEFAULT_RULES[key] === "boolean") {
+      if (value !== "true" && value !== "false") {
+        throw new NotationError(`Rule ${key} must be true or false, got "${value}"`);
+      }
+      rules[key] = value === "true";
+    } else {
+      rules[key] = value;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Formats a game as game notation
+ * @param {Object} game
+ * @param {number} game.dimensions
+ * @param {number} game.pocketsPerSide
+ * @param {number|null} game.initialStones - Stones per pit of a uniform start
+ * @param {Object} game.rules - Complete rules object
+ * @param {Object} game.defaultRules - Rules that can be left out
+ * @param {number} [game.seed] - Seed of the game's randomness
+ * @param {string} [game.start] - Position string of a non-standard start
+ * @param {Array<Array<number>>} game.moves - Coordinates of each ply
+ * @param {{player1: number, player2: number}} [game.result] - Final scores
+ * @returns {string} Game notation
+ */
+export function formatGame(game) {
+  const tags = [
+    ["Dimensions", game.dimensions],
+    ["PitsPerSide", game.pocketsPerSide],
+  ];
+  if (game.initialStones !== null) tags.push(["InitialStones", game.initialStones]);
+  const rules = formatRules(game.rules, game.defaultRules);
+  if (rules) tags.push(["Rules", rules]);
+  if (game.seed !== undefined) tags.push(["Seed", game.seed]);
+  if (game.start) tags.push(["Start", game.start]);
+  if (game.result) tags.push(["Result", `${game.result.player1}-${game.result.player2}`]);
+
+  const header = tags.map(([name, value]) => `[${name} "${value}"]`).join("\n");
+  const plies = game.moves.map((coords, i) => `${i + 1}. ${formatPly(coords)}`).join(" ");
+  return `${header}\n\n${plies}\n`;
+}
+
+/**
+ * Parses game notation
+ * @param {string} text - Game notation
+ * @returns {{dimensions: number, pocketsPerSide: number, initialStones: number|undefined, rules: Object, seed: number|undefined, start: string|undefined, moves: Array<Array<number>>}} The game's setup and plies
+ */
+export function parseGame(text) {
+  const tags = {};
+  const body = text.replace(/\[(\w+)\s+"([^"]*)"\]/g, (match, name, value) => {
+    tags[name] = value;
+    return "";
+  });
+
+  for (const required of ["Dimensions", "PitsPerSide"]) {
+    if (!(required in tags)) {
+      throw new NotationError(`Missing ${required} tag`);
+    }
+  }
+
+  const moves = body
+    .split(/\s+/)
+    .filter((token) => token && !/^\d+\.$/.test(token))
+    .map(parsePly);
+
+  const dimensions = parseCount(tags.Dimensions, "dimensions");
+  const pocketsPerSide = parseCount(tags.PitsPerSide, "pits per side");
+  checkBoardSize(dimensions, pocketsPerSide);
+
+  return {
+    dimensions,
+    pocketsPerSide,
+    initialStones:
+      tags.InitialStones === undefined ? undefined : parseCount(tags.InitialStones, "initial stones"),
+    rules: parseRules(tags.Rules ?? ""),
+    seed: tags.Seed === undefined ? undefined : parseCount(tags.Seed, "seed"),
+    start: tags.Start,
+    moves,
+  };
+}
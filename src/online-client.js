@@ -0,0 +1,162 @@
+/**
+ * Browser side of online play, see server/index.js for the protocol
+ */
+
+// The seat is kept for the tab's lifetime so a reload can reclaim it
+const SESSION_KEY = "nd-mancala:online";
+// Waits between reconnection attempts; the last one repeats
+const RETRY_DELAYS_MS = [500, 1000, 2000, 5000];
+// Attempts before giving up, about a minute of trying
+const MAX_RETRIES = 15;
+
+/**
+ * Default server address: the online server on the page's own host
+ */
+export function defaultServerUrl() {
+  const host = location.hostname || "localhost";
+  return `ws://${host}:8787`;
+}
+
+/**
+ * A connection to a room that reconnects and reclaims its seat on its own
+ */
+export class OnlineClient {
+  /**
+   * @param {string} url - WebSocket address of the server
+   * @param {Object} handlers
+   * @param {(session: {code: string, player: number}) => void} handlers.onJoined - A seat was taken or reclaimed
+   * @param {(message: Object) => void} handlers.onState - The server sent the game
+   * @param {(message: string) => void} handlers.onError - A request was refused or the server is unreachable
+   * @param {(status: string) => void} handlers.onStatus - Connection state changed
+   */
+  constructor(url, handlers) {
+    this.url = url;
+    this.handlers = handlers;
+    this.session = null;
+    // Whether the current connection holds a seat
+    this.joined = false;
+    this.socket = null;
+    this.closed = false;
+    this.retries = 0;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Reads the seat this tab held before a reload
+   * @returns {{url: string, code: string, token: string, player: number}|null}
+   */
+  static savedSession() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Opens a room for a game
+   * @param {string} notation - The game to play, see notation.js
+   * @param {string} name - Name shown to the opponent
+   */
+  host(notation, name) {
+    this.connect({ type: "host", notation, name });
+  }
+
+  /**
+   * Takes the free seat of a room
+   * @param {string} code - Room code from the host
+   * @param {string} name - Name shown to the opponent
+   */
+  join(code, name) {
+    this.connect({ type: "join", code, name });
+  }
+
+  /**
+   * Reclaims a seat held earlier
+   * @param {{code: string, token: string}} session - From `savedSession`
+   */
+  rejoin(session) {
+    this.session = session;
+    this.connect(null);
+  }
+
+  /**
+   * Sends a move for this client's seat; the server answers with the new state
+   * or an error
+   */
+  sendMove(coords) {
+    this.send({ type: "move", coords });
+  }
+
+  /**
+   * Leaves the room for good
+   */
+  leave() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    sessionStorage.removeItem(SESSION_KEY);
+    this.socket?.close();
+  }
+
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Opens the socket, then sends `request`, or a rejoin once a seat is held
+   */
+  connect(request) {
+    this.handlers.onStatus(this.session ? "Reconnecting…" : "Connecting…");
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    this.joined = false;
+
+    socket.onopen = () => {
+      this.retries = 0;
+      if (this.session) {
+        this.send({ type: "rejoin", code: this.session.code, token: this.session.token });
+      } else {
+        this.send(request);
+      }
+    };
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === "joined") {
+        this.session = {
+          url: this.url,
+          code: message.code,
+          token: message.token,
+          player: message.player,
+        };
+        this.joined = true;
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(this.session));
+        this.handlers.onJoined(this.session);
+      } else if (message.type === "state") {
+        this.handlers.onState(message);
+      } else if (message.type === "error") {
+        this.handlers.onError(message.message);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.closed || socket !== this.socket) return;
+      if (!this.session) {
+        this.closed = true;
+        this.handlers.onError(`Could not reach ${this.url}`);
+        return;
+      }
+      if (this.retries >= MAX_RETRIES) {
+        this.closed = true;
+        this.handlers.onError(`Lost the connection to ${this.url}`);
+        return;
+      }
+      const delay = RETRY_DELAYS_MS[Math.min(this.retries, RETRY_DELAYS_MS.length - 1)];
+      this.retries++;
+      this.handlers.onStatus("Connection lost, retrying…");
+      this.retryTimer = setTimeout(() => this.connect(null), delay);
+    };
+  }
+}
@@ -0,0 +1,44 @@
+// How often the numbers are refreshed, in milliseconds
+const SAMPLE_INTERVAL = 500;
+
+/**
+ * Shows frame rate and renderer statistics in a DOM element
+ */
+export class PerfHud {
+  /**
+   * @param {HTMLElement} element - Element to write the statistics into
+   */
+  constructor(element) {
+    this.element = element;
+    this.frames = 0;
+    this.sampleStart = performance.now();
+  }
+
+  get visible() {
+    return this.element.style.display === "block";
+  }
+
+  set visible(visible) {
+    this.element.style.display = visible ? "block" : "none";
+  }
+
+  /**
+   * Counts a rendered frame. Call right after rendering.
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  update(renderer) {
+    this.frames++;
+    const now = performance.now();
+    const elapsed = now - this.sampleStart;
+    if (elapsed < SAMPLE_INTERVAL) return;
+
+    if (this.visible) {
+      const fps = (this.frames * 1000) / elapsed;
+      const { calls, triangles } = renderer.info.render;
+      this.element.textContent =
+        `FPS: ${fps.toFixed(0)}\nDraw calls: ${calls}\nTriangles: ${triangles.toLocaleString()}`;
+    }
+    this.frames = 0;
+    this.sampleStart = now;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Seeded randomness
+ *
+ * Everything random in a game - stone colours, stone layouts and any
+ * randomized rule - is drawn from generators seeded by the game's seed, so a
+ * seed and a move list reproduce a session exactly. `randomSeed` is the only
+ * place that uses `Math.random`.
+ */
+
+/**
+ * Advances a mulberry32 generator by one step
+ * @param {number} state - 32-bit generator state
+ * @returns {{value: number, state: number}} A number in [0, 1) and the next state
+ */
+function nextRandom(state) {
+  const next = (state + 0x6d2b79f5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: next };
+}
+
+/**
+ * Creates a seeded pseudo-random number generator. The same seed always
+ * produces the same sequence.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Function returning numbers in [0, 1) like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    const result = nextRandom(state);
+    state = result.state;
+    return result.value;
+  };
+}
+
+/**
+ * Picks a fresh seed for a new game
+ * @returns {number} 32-bit integer seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Reads a seed typed by a user. Whole numbers are used as they are and any
+ * other text is hashed, so words work as seeds too.
+ * @param {string} text
+ * @returns {number} 32-bit integer seed
+ */
+export function parseSeed(text) {
+  const trimmed = text.trim();
+  if (/^\d+$/.test(trimmed) && Number(trimmed) < 4294967296) {
+    return Number(trimmed);
+  }
+  return hashString(trimmed);
+}
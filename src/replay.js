@@ -0,0 +1,40 @@
+/**
+ * Replays of finished games
+ *
+ * A replay is a game history shown ply by ply. Games are shared as links
+ * carrying their game notation in the URL hash, e.g.
+ * `https://example.com/#replay=%5BDimensions%20%222%22%5D...`.
+ */
+
+// Playback speeds offered, as multiples of the normal animation speed
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Pause after each ply's animation before the next one, at normal speed
+export const REPLAY_PAUSE_MS = 600;
+
+const HASH_PREFIX = "#replay=";
+
+/**
+ * Builds a link that opens a game as a replay
+ * @param {string} notation - Game notation
+ * @param {string} url - Address of the page, any hash is replaced
+ * @returns {string}
+ */
+export function replayLink(notation, url) {
+  return `${url.split("#")[0]}${HASH_PREFIX}${encodeURIComponent(notation)}`;
+}
+
+/**
+ * Reads the game from a replay link's hash
+ * @param {string} hash - `location.hash`
+ * @returns {string|null} Game notation, or null if the hash holds no replay
+ */
+export function readReplayHash(hash) {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(HASH_PREFIX.length));
+  } catch {
+    // A link cut short can end in half an escape
+    return null;
+  }
+}
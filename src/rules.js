@@ -0,0 +1,84 @@
+/**
+ * Rule variants understood by GameState
+ */
+
+export const CAPTURE_RULES = {
+  // Landing in an empty own pit captures the opposite pit, if it has stones
+  OPPOSITE_NONEMPTY: "opposite-nonempty",
+  // Landing in an empty own pit always captures, even an empty opposite pit
+  ALWAYS: "always",
+  NONE: "none",
+};
+
+export const SOWING_DIRECTIONS = {
+  COUNTERCLOCKWISE: "counterclockwise",
+  CLOCKWISE: "clockwise",
+};
+
+// Upper bound on relay laps so a relay move always terminates
+export const MAX_RELAY_LAPS = 1000;
+
+// Upper bound on the plies of a game. Some rules, such as skipOwnStore, let
+// positions repeat forever; a game that reaches this many plies ends as if a
+// side had run out of stones.
+export const MAX_GAME_PLIES = 5000;
+
+/**
+ * Standard Kalah: counter-clockwise sowing, captures from empty own pits
+ * when the opposite pit has stones, extra turn for ending in the store
+ */
+export const DEFAULT_RULES = Object.freeze({
+  capture: CAPTURE_RULES.OPPOSITE_NONEMPTY,
+  direction: SOWING_DIRECTIONS.COUNTERCLOCKWISE,
+  // Oware-style: a lap that comes back round skips the pit it was taken from
+  skipOrigin: false,
+  // Sow past the player's own store instead of dropping a stone in it
+  skipOwnStore: false,
+  // Relay sowing: ending in an occupied pit picks it up and keeps sowing
+  relay: false,
+});
+
+/**
+ * Named rule sets offered in the menu
+ */
+export const RULE_PRESETS = {
+  kalah: { label: "Kalah", rules: {} },
+  alwaysCapture: {
+    label: "Capture from any empty pit",
+    rules: { capture: CAPTURE_RULES.ALWAYS },
+  },
+  noCapture: { label: "No captures", rules: { capture: CAPTURE_RULES.NONE } },
+  skipOrigin: { label: "Oware-style laps", rules: { skipOrigin: true } },
+  skipOwnStore: { label: "Sow past own store", rules: { skipOwnStore: true } },
+  relay: { label: "Relay sowing", rules: { relay: true } },
+  clockwise: {
+    label: "Clockwise sowing",
+    rules: { direction: SOWING_DIRECTIONS.CLOCKWISE },
+  },
+};
+
+/**
+ * Fills in defaults for a partial rules object and checks its values
+ * @param {Object} [rules={}] - Rules to override
+ * @returns {Object} Frozen, complete rules object
+ */
+export function resolveRules(rules = {}) {
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_RULES)) {
+      throw new TypeError(`Unknown rule "${key}"`);
+    }
+  }
+  const resolved = { ...DEFAULT_RULES, ...rules };
+  for (const [key, value] of Object.entries(resolved)) {
+    if (typeof DEFAULT_RULES[key] === "boolean" && typeof value !== "boolean") {
+      throw new TypeError(`Rule ${key} must be true or false, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (!Object.values(CAPTURE_RULES).includes(resolved.capture)) {
+    throw new TypeError(`Unknown capture rule "${resolved.capture}"`);
+  }
+  if (!Object.values(SOWING_DIRECTIONS).includes(resolved.direction)) {
+    throw new TypeError(`Unknown sowing direction "${resolved.direction}"`);
+  }
+  return Object.freeze(resolved);
+}
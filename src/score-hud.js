@@ -0,0 +1,88 @@
+import { COLORS } from "./board-visual.js";
+
+// How long a move notification stays up, in milliseconds
+const NOTICE_MS = 1800;
+
+function cssColor(hex) {
+  return `#${hex.toString(16).padStart(6, "0")}`;
+}
+
+/**
+ * Shows whose turn it is, the scores and stones left on each side, and
+ * announces captures and extra turns
+ */
+export class ScoreHud {
+  /**
+   * @param {HTMLElement} element - Container holding one `[data-player]`
+   *   block per player, a `.hud-turn` and a `.hud-notice` element
+   */
+  constructor(element) {
+    this.element = element;
+    this.players = {};
+    [1, 2].forEach((player) => {
+      const block = element.querySelector(`[data-player="${player}"]`);
+      block.style.borderColor = cssColor(COLORS[`PLAYER${player}`]);
+      this.players[player] = {
+        block,
+        name: block.querySelector(".hud-name"),
+        score: block.querySelector(".hud-score"),
+        side: block.querySelector(".hud-side"),
+      };
+    });
+    this.turn = element.querySelector(".hud-turn");
+    this.notice = element.querySelector(".hud-notice");
+    this.noticeTimer = null;
+  }
+
+  /**
+   * Shows a position
+   * @param {GameState} gameState
+   * @param {{1: string, 2: string}} names - What to call each player
+   */
+  update(gameState, names) {
+    const scores = gameState.getScores();
+    [1, 2].forEach((player) => {
+      const view = this.players[player];
+      const stones = gameState.getStonesOnSide(player);
+      view.name.textContent = names[player];
+      view.score.textContent = scores[`player${player}`];
+      view.side.textContent = `${stones} ${stones === 1 ? "stone" : "stones"} left`;
+      view.block.classList.toggle(
+        "active",
+        !gameState.isGameOver() && gameState.currentPlayer === player
+      );
+    });
+
+    const winner = gameState.getWinner();
+    if (winner === null) {
+      const player = gameState.currentPlayer;
+      this.turn.textContent = `${names[player]} to move`;
+      this.turn.style.color = cssColor(COLORS[`PLAYER${player}`]);
+    } else {
+      this.turn.textContent = winner === 0 ? "Draw" : `${names[winner]} wins`;
+      this.turn.style.color = "";
+    }
+  }
+
+  /**
+   * Briefly announces what a move earned
+   * @param {MoveResult} move
+   */
+  notify(move) {
+    const notes = [];
+    if (move.captured > 0) notes.push(`Capture! +${move.captured}`);
+    if (move.extraTurn) notes.push("Extra turn!");
+    if (notes.length === 0) return;
+
+    this.notice.textContent = notes.join(" ");
+    this.notice.style.backgroundColor = cssColor(COLORS[`PLAYER${move.player}`]);
+    this.notice.classList.add("visible");
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => this.clearNotice(), NOTICE_MS);
+  }
+
+  clearNotice() {
+    clearTimeout(this.noticeTimer);
+    this.notice.classList.remove("visible");
+  }
+}
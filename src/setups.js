@@ -0,0 +1,78 @@
+import { reshape } from "mathjs";
+
+/**
+ * Starting layouts understood by GameState
+ *
+ * A setup is one of:
+ * - a number: that many stones in every pit
+ * - an array of counts for every pit of a grid, nested like the board or flat
+ *   in row-major order, used for both players
+ * - `{player1, player2}` holding such an array for each player
+ * - `{preset, ...options}` naming one of `SETUP_PRESETS`
+ */
+
+/**
+ * Named layouts offered in the menu. `create` returns the counts of one
+ * player's pits in row-major order; both players get the same layout so
+ * neither starts ahead.
+ */
+export const SETUP_PRESETS = {
+  random: {
+    label: "Random, same total",
+    /**
+     * Scatters `total` stones over the pits one at a time
+     * @param {number} pitCount
+     * @param {{total?: number}} options - Defaults to 4 stones per pit
+     * @param {() => number} random - The game's seeded setup generator
+     */
+    create(pitCount, { total = pitCount * 4 }, random) {
+      const counts = Array(pitCount).fill(0);
+      for (let i = 0; i < total; i++) {
+        counts[Math.floor(random() * pitCount)]++;
+      }
+      return counts;
+    },
+  },
+};
+
+function checkCounts(counts, pitCount) {
+  const flat = counts.flat(Infinity);
+  if (flat.length !== pitCount) {
+    throw new RangeError(`Setup needs ${pitCount} pits per side, got ${flat.length}`);
+  }
+  if (!flat.every((count) => Number.isInteger(count) && count >= 0)) {
+    throw new TypeError("Stone counts must be whole numbers of at least 0");
+  }
+  return flat;
+}
+
+/**
+ * Turns a setup into the stone counts of both players' grids
+ * @param {number|Array|Object} setup - See the module description
+ * @param {Array<number>} shape - Shape of one player's grid
+ * @param {() => number} random - Generator for presets that need one
+ * @returns {{player1: Array, player2: Array}} Nested arrays shaped like the grid
+ */
+export function resolveSetup(setup, shape, random) {
+  const pitCount = shape.reduce((product, size) => product * size, 1);
+  const toGrid = (counts) => reshape(checkCounts(counts, pitCount), shape);
+
+  if (typeof setup === "number") {
+    return resolveSetup(Array(pitCount).fill(setup), shape, random);
+  }
+  if (Array.isArray(setup)) {
+    return { player1: toGrid(setup), player2: toGrid(setup) };
+  }
+  if (setup && "preset" in setup) {
+    const { preset, ...options } = setup;
+    if (!(preset in SETUP_PRESETS)) {
+      throw new TypeError(`Unknown setup preset "${preset}"`);
+    }
+    const counts = SETUP_PRESETS[preset].create(pitCount, options, random);
+    return { player1: toGrid(counts), player2: toGrid(counts) };
+  }
+  if (setup && "player1" in setup && "player2" in setup) {
+    return { player1: toGrid(setup.player1), player2: toGrid(setup.player2) };
+  }
+  throw new TypeError("Setup must be a number, an array of counts or a preset");
+}
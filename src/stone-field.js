@@ -0,0 +1,124 @@
+import * as THREE from "three";
+
+// Scratch objects for writing instance matrices
+const matrix = new THREE.Matrix4();
+const position = new THREE.Vector3();
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+
+/**
+ * All the stones of a board, drawn as a single instanced mesh
+ *
+ * Each stone is a small record that keeps its instance slot and colour for
+ * its whole life. A stone sits at an offset from an anchor, which is a pit, a
+ * mancala or a hand carrying stones between pits, and its instance is only
+ * rewritten when the stone or its anchor moves. Anchors are direct children
+ * of the scene and keep their stones in a `stones` array.
+ */
+export class StoneField {
+  /**
+   * @param {THREE.BufferGeometry} geometry - Geometry shared by every stone
+   * @param {THREE.Material} material - Material shared by every stone; colours come from the instances
+   * @param {THREE.Scene} scene
+   * @param {number} [capacity=64] - Initial number of instance slots; grows as needed
+   */
+  constructor(geometry, material, scene, capacity = 64) {
+    this.geometry = geometry;
+    this.material = material;
+    this.scene = scene;
+    this.stones = [];
+    this.mesh = this.createMesh(Math.max(capacity, 1));
+    scene.add(this.mesh);
+  }
+
+  createMesh(capacity) {
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = this.stones.length;
+    // Stones move all over the board, so the geometry's bounds say nothing
+    mesh.frustumCulled = false;
+    return mesh;
+  }
+
+  /**
+   * Doubles the number of instance slots, keeping every stone's slot
+   */
+  grow() {
+    const old = this.mesh;
+    this.mesh = this.createMesh(old.instanceMatrix.count * 2);
+    this.mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    if (old.instanceColor) {
+      const color = new THREE.Color();
+      this.stones.forEach((stone) => this.mesh.setColorAt(stone.index, old.getColorAt(stone.index, color)));
+    }
+    this.scene.remove(old);
+    old.dispose();
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Creates a stone, hidden until it is placed
+   * @param {THREE.Color} color - The stone's colour for its whole life
+   * @returns {Object} The stone record
+   */
+  createStone(color) {
+    if (this.stones.length === this.mesh.instanceMatrix.count) {
+      this.grow();
+    }
+    const stone = {
+      index: this.stones.length,
+      color,
+      anchor: null,
+      offset: new THREE.Vector3(),
+    };
+    this.stones.push(stone);
+    this.mesh.count = this.stones.length;
+    this.mesh.setColorAt(stone.index, color);
+    this.mesh.instanceColor.needsUpdate = true;
+    this.update(stone);
+    return stone;
+  }
+
+  /**
+   * Puts a stone at an offset from an anchor
+   */
+  place(stone, anchor, offset) {
+    stone.anchor = anchor;
+    stone.offset.copy(offset);
+    this.update(stone);
+  }
+
+  /**
+   * Takes a stone off the board without destroying it
+   */
+  hide(stone) {
+    stone.anchor = null;
+    this.update(stone);
+  }
+
+  /**
+   * Rewrites a stone's instance from its anchor's current position
+   */
+  update(stone) {
+    if (stone.anchor) {
+      position.copy(stone.anchor.position).add(stone.offset);
+      matrix.makeTranslation(position);
+    } else {
+      matrix.copy(HIDDEN);
+    }
+    this.mesh.setMatrixAt(stone.index, matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Rewrites the instances of every stone of an anchor that moved
+   */
+  updateAnchor(anchor) {
+    anchor.stones.forEach((stone) => this.update(stone));
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.stones.length = 0;
+  }
+}
@@ -0,0 +1,190 @@
+import { GameState } from "./game-state.js";
+import { RULE_PRESETS } from "./rules.js";
+import { createRandom, hashString } from "./random.js";
+import { findEngine } from "./engines.js";
+
+/**
+ * Engine-against-engine tournaments
+ *
+ * Every pair of engines plays the same number of games on every board and
+ * rule preset asked for. Games are played in pairs on the same seed with
+ * the engines swapping seats, so each engine moves first in half of them
+ * and neither gets luckier draws of the random generator. Games are played
+ * by `GameState`, so they follow exactly the rules the game in the browser
+ * plays.
+ */
+
+// z for the 95% confidence intervals
+const Z_95 = 1.959964;
+
+/**
+ * Wilson score interval for a proportion, which stays inside [0, 1] and
+ * behaves for rates near 0 and 1 and for few games
+ * @param {number} successes
+ * @param {number} trials
+ * @param {number} [z=Z_95] - Normal quantile of the confidence level
+ * @returns {{rate: number, low: number, high: number}}
+ */
+export function wilsonInterval(successes, trials, z = Z_95) {
+  if (trials === 0) return { rate: 0, low: 0, high: 1 };
+  const rate = successes / trials;
+  const z2 = z * z;
+  const centre = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+  const spread = (z / (1 + z2 / trials)) * Math.sqrt(rate * (1 - rate) / trials + z2 / (4 * trials * trials));
+  return { rate, low: Math.max(0, centre - spread), high: Math.min(1, centre + spread) };
+}
+
+/**
+ * Plays one game between two engines
+ * @param {GameState} gameState - Starting position; played on in place
+ * @param {{1: Object, 2: Object}} seats - Engine for each player
+ * @param {() => number} random - Generator handed to the engines
+ * @returns {{winner: number, plies: number, scores: {player1: number, player2: number}}}
+ */
+export function playGame(gameState, seats, random) {
+  let plies = 0;
+  while (!gameState.isGameOver()) {
+    gameState.performMove(seats[gameState.currentPlayer].choose(gameState, random));
+    plies++;
+  }
+  return { winner: gameState.getWinner(), plies, scores: gameState.getScores() };
+}
+
+function summarize(names, tally) {
+  const { games, wins, draws, plies, firstPlayerWins } = tally;
+  return {
+    engines: names,
+    games,
+    wins,
+    draws,
+    winRates: wins.map((count) => wilsonInterval(count, games)),
+    drawRate: wilsonInterval(draws, games),
+    averagePlies: games > 0 ? plies / games : 0,
+    firstPlayerWins,
+    firstPlayerWinRate: wilsonInterval(firstPlayerWins, games),
+  };
+}
+
+/**
+ * @typedef {Object} TournamentResults
+ * @property {number} seed - Seed of the first game of every matchup
+ * @property {number} games - Games per matchup
+ * @property {Array<Object>} boards - One entry per board and rule preset,
+ *   with `dimensions`, `pocketsPerSide`, `stones` and `rules`, the
+ *   `matchups` played on it and `firstPlayer`: how player 1 fared over all
+ *   of them. `advantage` is player 1's share of the points, a draw counting
+ *   half, less one half.
+ */
+
+/**
+ * Plays a round robin between engines
+ * @param {Object} options
+ * @param {Array<string>} options.engines - Engine names, see `findEngine` in engines.js
+ * @param {Array<{dimensions: number, pocketsPerSide: number, stones: number}>} options.boards
+ * @param {Array<string>} [options.rules=["kalah"]] - Keys of RULE_PRESETS
+ * @param {number} [options.games=100] - Games per pair of engines on each board; rounded up to even
+ * @param {number} [options.seed=1] - Seed of the first pair of games
+ * @param {(progress: {board: Object, rules: string, engines: Array<string>, played: number}) => void} [options.onMatchup] -
+ *   Called after each matchup
+ * @returns {TournamentResults}
+ */
+export function runTournament({ engines, boards, rules = ["kalah"], games = 100, seed = 1, onMatchup = () => {} }) {
+  const players = engines.map((name) => {
+    const engine = findEngine(name);
+    if (!engine) throw new RangeError(`Unknown engine "${name}"`);
+    return engine;
+  });
+  for (const preset of rules) {
+    if (!Object.hasOwn(RULE_PRESETS, preset)) throw new RangeError(`Unknown rules "${preset}"`);
+  }
+  const pairs = engines.flatMap((_, a) => engines.slice(a + 1).map((_, i) => [a, a + 1 + i]));
+  if (pairs.length === 0) {
+    throw new RangeError("A tournament needs at least two engines");
+  }
+  const gamesPerMatchup = Math.ceil(games / 2) * 2;
+
+  const results = boards.flatMap((board) => rules.map((preset) => {
+    const first = { games: 0, wins: 0, draws: 0 };
+    const matchups = pairs.map(([a, b]) => {
+      const tally = { games: 0, wins: [0, 0], draws: 0, plies: 0, firstPlayerWins: 0 };
+      for (let game = 0; game < gamesPerMatchup; game++) {
+        const gameSeed = (seed + Math.floor(game / 2)) >>> 0;
+        // Engine a sits first in even games, engine b in odd ones
+        const seatOf = game % 2 === 0 ? [1, 2] : [2, 1];
+        const gameState = new GameState(board.dimensions, board.pocketsPerSide, board.stones, {
+          rules: RULE_PRESETS[preset].rules,
+          seed: gameSeed,
+        });
+        const { winner, plies } = playGame(
+          gameState,
+          { [seatOf[0]]: players[a], [seatOf[1]]: players[b] },
+          createRandom(hashString(`${gameSeed}:engines`))
+        );
+
+        tally.games++;
+        tally.plies += plies;
+        if (winner === 0) {
+          tally.draws++;
+        } else {
+          tally.wins[seatOf.indexOf(winner)]++;
+          if (winner === 1) tally.firstPlayerWins++;
+        }
+      }
+      first.games += tally.games;
+      first.wins += tally.firstPlayerWins;
+      first.draws += tally.draws;
+
+      const summary = summarize([engines[a], engines[b]], tally);
+      onMatchup({ board, rules: preset, engines: summary.engines, played: tally.games });
+      return summary;
+    });
+
+    return {
+      dimensions: board.dimensions,
+      pocketsPerSide: board.pocketsPerSide,
+      stones: board.stones,
+      rules: preset,
+      matchups,
+      firstPlayer: {
+        games: first.games,
+        winRate: wilsonInterval(first.wins, first.games),
+        drawRate: wilsonInterval(first.draws, first.games),
+        advantage: first.games > 0 ? (first.wins + first.draws / 2) / first.games - 0.5 : 0,
+      },
+    };
+  }));
+
+  return { seed, games: gamesPerMatchup, boards: results };
+}
+
+const CSV_COLUMNS = [
+  "dimensions", "pits", "stones", "rules", "engine1", "engine2", "games",
+  "wins1", "win_rate1", "win_rate1_low", "win_rate1_high",
+  "wins2", "win_rate2", "win_rate2_low", "win_rate2_high",
+  "draws", "draw_rate", "draw_rate_low", "draw_rate_high",
+  "average_plies", "first_player_wins", "first_player_win_rate",
+  "first_player_win_rate_low", "first_player_win_rate_high",
+];
+
+function csvField(value) {
+  const text = typeof value === "number" && !Number.isInteger(value) ? value.toFixed(4) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes tournament results as CSV, one row per matchup on each board
+ * @param {TournamentResults} results
+ * @returns {string} CSV with a header row
+ */
+export function formatResultsCsv(results) {
+  const interval = ({ rate, low, high }) => [rate, low, high];
+  const rows = results.boards.flatMap((board) => board.matchups.map((matchup) => [
+    board.dimensions, board.pocketsPerSide, board.stones, board.rules,
+    ...matchup.engines, matchup.games,
+    matchup.wins[0], ...interval(matchup.winRates[0]),
+    matchup.wins[1], ...interval(matchup.winRates[1]),
+    matchup.draws, ...interval(matchup.drawRate),
+    matchup.averagePlies, matchup.firstPlayerWins, ...interval(matchup.firstPlayerWinRate),
+  ]));
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
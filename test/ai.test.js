@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { GameState } from "../src/game-state.js";
+import { position } from "./helpers.js";
+import { analyzeMoves, chooseMove, formatEvaluation } from "../src/ai.js";
+
+describe("analyzeMoves", () => {
+  it("scores every legal move in sowing order", () => {
+    const state = new GameState(2, 6, 4);
+    const analysis = analyzeMoves(state, { depth: 2, timeBudget: 1000 });
+    expect(analysis.map(({ coords }) => coords)).toEqual(state.getValidMoves());
+    analysis.forEach(({ value }) => expect(Number.isFinite(value)).toBe(true));
+  });
+
+  it("leaves the position alone", () => {
+    const state = new GameState(2, 6, 4);
+    const before = state.toNotation();
+    analyzeMoves(state, { depth: 3, timeBudget: 1000 });
+    expect(state.toNotation()).toBe(before);
+  });
+
+  it("values a capture above a quiet move", () => {
+    // Pit 1 captures the 4 stones opposite; pit 6 puts one in the mancala
+    const state = position("2:6 1,0*4,1/4*6 0/0 1");
+    const [capture, quiet] = analyzeMoves(state, { depth: 1, timeBudget: 1000 });
+    expect(capture).toEqual({ coords: [0], value: 5 });
+    expect(quiet).toEqual({ coords: [5], value: 1 });
+  });
+
+  it("agrees with chooseMove on the best move", () => {
+    const state = position("2:6 1,0*4,1/4*6 0/0 1");
+    const analysis = analyzeMoves(state, { depth: 4, timeBudget: 1000 });
+    const best = analysis.reduce((top, move) => (move.value > top.value ? move : top));
+    expect(best.coords).toEqual(chooseMove(state, "easy"));
+  });
+});
+
+describe("formatEvaluation", () => {
+  it("shows the change in the mover's lead", () => {
+    const state = position("2:6 4*6/4*6 5/2 1");
+    expect(formatEvaluation(6, state)).toBe("+3");
+    expect(formatEvaluation(1, state)).toBe("-2");
+    expect(formatEvaluation(3, state)).toBe("0");
+  });
+
+  it("calls won and lost games", () => {
+    const state = new GameState(2, 6, 4);
+    expect(formatEvaluation(10004, state)).toBe("Win");
+    expect(formatEvaluation(-9990, state)).toBe("Loss");
+  });
+});
@@ -0,0 +1,100 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { position } from "./helpers.js";
+import { RULE_PRESETS } from "../src/rules.js";
+import { chooseMove, useEndgameTable } from "../src/ai.js";
+import { EndgameError, EndgameTable, endgameIndex } from "../src/endgame.js";
+
+const SMALL = { dimensions: 2, pocketsPerSide: 3, maxStones: 5 };
+
+// Every position string of a 2:n board with exactly `stones` in the pits
+function positions(pocketsPerSide, stones) {
+  const lists = (total, length) => length === 1
+    ? [[total]]
+    : Array.from({ length: total + 1 }, (_, first) =>
+        lists(total - first, length - 1).map((rest) => [first, ...rest])).flat();
+  return lists(stones, 2 * pocketsPerSide).flatMap((counts) =>
+    [1, 2].map((player) =>
+      `2:${pocketsPerSide} ${counts.slice(0, pocketsPerSide).join(",")}/${counts.slice(pocketsPerSide).join(",")} 0/0 ${player}`
+    )
+  );
+}
+
+// Perfect play by searching to the end of the game: the final margin of
+// the player to move over their opponent
+function solve(state) {
+  if (state.isGameOver()) {
+    return state.mancalas[`player${state.currentPlayer}`] -
+      state.mancalas[`player${state.currentPlayer === 1 ? 2 : 1}`];
+  }
+  return Math.max(...state.getValidMoves().map((coords) => {
+    const next = state.simulateMove(coords).state;
+    const value = solve(next);
+    return next.currentPlayer === state.currentPlayer ? value : -value;
+  }));
+}
+
+describe("endgameIndex", () => {
+  it("numbers every position of a table once, fewest stones first", () => {
+    const indices = [0, 1, 2, 3].flatMap((stones) => positions(2, stones).map(endgameIndex));
+    expect(indices).toEqual(indices.map((_, i) => i));
+    expect(new EndgameTable({ dimensions: 2, pocketsPerSide: 2, maxStones: 3 }).values).toHaveLength(indices.length);
+  });
+
+  it("ignores the mancalas", () => {
+    expect(endgameIndex("2:6 0*5,1/1,0*5 20/7 2")).toBe(endgameIndex("2:6 0*5,1/1,0*5 0/0 2"));
+  });
+});
+
+describe("EndgameTable", () => {
+  afterEach(() => useEndgameTable(null));
+
+  ["kalah", "alwaysCapture", "relay"].forEach((preset) => {
+    it(`agrees with a full search under ${preset} rules`, () => {
+      const rules = RULE_PRESETS[preset].rules;
+      const table = EndgameTable.generate({ ...SMALL, rules });
+      for (const text of positions(3, 5)) {
+        const state = position(text, rules);
+        if (state.isGameOver()) continue;
+        expect(table.lookup(state), text).toBe(solve(state));
+      }
+    });
+  });
+
+  it("reports rules under which positions repeat", () => {
+    const rules = { skipOwnStore: true };
+    expect(() => EndgameTable.generate({ dimensions: 2, pocketsPerSide: 2, maxStones: 4, rules }))
+      .toThrow(EndgameError);
+  });
+
+  it("only answers for its own board, rules and stone count", () => {
+    const table = EndgameTable.generate(SMALL);
+    expect(table.lookup(position("2:3 1,0,1/0,2,0 9/9 1"))).not.toBeNull();
+    expect(table.lookup(position("2:3 2,0,2/0,2,0 9/9 1"))).toBeNull();
+    expect(table.lookup(position("2:4 1,0,1,0/0,2,0,0 0/0 1"))).toBeNull();
+    expect(table.lookup(position("2:3 1,0,1/0,2,0 0/0 1", RULE_PRESETS.relay.rules))).toBeNull();
+  });
+
+  it("reads back the bytes it writes", () => {
+    const table = EndgameTable.generate({ ...SMALL, rules: RULE_PRESETS.clockwise.rules });
+    const copy = EndgameTable.fromBytes(table.toBytes());
+    expect(copy.rules).toEqual(table.rules);
+    expect(copy.maxStones).toBe(5);
+    expect(copy.values).toEqual(table.values);
+  });
+
+  it("rejects bytes that are not a table", () => {
+    expect(() => EndgameTable.fromBytes(new TextEncoder().encode("[Dimensions \"2\"]"))).toThrow(EndgameError);
+    const truncated = EndgameTable.generate(SMALL).toBytes().subarray(0, 100);
+    expect(() => EndgameTable.fromBytes(truncated)).toThrow(EndgameError);
+  });
+
+  it("gives the search perfect play", () => {
+    // Looking one move ahead, sowing pit 3 scores a stone at once; played
+    // out, pit 2 wins by 4 and pit 3 loses by 4
+    const state = position("2:3 0,1,2/0,0,3 0/0 1");
+    expect(chooseMove(state, "easy")).toEqual([2]);
+    useEndgameTable(EndgameTable.generate(SMALL));
+    expect(chooseMove(state, "easy")).toEqual([1]);
+    expect(solve(state.simulateMove([1]).state)).toBe(-4);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import { GameState } from "../src/game-state.js";
+import { RULE_PRESETS } from "../src/rules.js";
+import { createRandom } from "../src/random.js";
+
+// Longest game random play may take before it counts as not terminating;
+// real games on these boards end after a few hundred plies at most
+const MAX_PLIES = 20000;
+
+// Small boards of 2 and 3 dimensions under every rule preset, uniform or
+// with a random layout. Games are built from these in each run, since
+// playing changes them.
+const games = fc.record({
+  dimensions: fc.integer({ min: 2, max: 3 }),
+  pocketsPerSide: fc.integer({ min: 1, max: 5 }),
+  stones: fc.integer({ min: 1, max: 8 }),
+  layout: fc.constantFrom("uniform", "random"),
+  rules: fc.constantFrom(...Object.keys(RULE_PRESETS)),
+  seed: fc.nat(),
+});
+
+function newGame({ dimensions, pocketsPerSide, stones, layout, rules, seed }) {
+  const setup = layout === "uniform"
+    ? stones
+    : { preset: "random", total: stones * pocketsPerSide ** (dimensions - 1) };
+  return new GameState(dimensions, pocketsPerSide, setup, {
+    rules: RULE_PRESETS[rules].rules,
+    seed,
+  });
+}
+
+// Indices into the legal moves of each turn; wrapped to however many there are
+const choices = fc.array(fc.nat(), { maxLength: 60 });
+
+function stonesOf(state) {
+  const { player1Board, player2Board, mancalas } = state.toSnapshot();
+  return { player1Board, player2Board, mancalas };
+}
+
+function totalStones(state) {
+  return state.getStonesOnSide(1) + state.getStonesOnSide(2) +
+    state.mancalas.player1 + state.mancalas.player2;
+}
+
+/**
+ * Plays the moves `picks` chooses, handing each position and move to
+ * `check` before the move is played
+ */
+function playOut(state, picks, check) {
+  for (const pick of picks) {
+    const moves = state.getValidMoves();
+    if (moves.length === 0) return state;
+    const coords = moves[pick % moves.length];
+    check(state, coords);
+    state.performMove(coords);
+  }
+  return state;
+}
+
+/**
+ * Rebuilds the board after a move from the stones it lists: the sown pit
+ * emptied, one stone per step of the path, captured pits moved to the
+ * mover's mancala and, at the end, the sweep
+ */
+function replayOutcome(state, move) {
+  const expected = state.clone();
+  const add = (player, coords, count) =>
+    expected.setStonesAt(player, coords, expected.getStonesAt(player, coords) + count);
+
+  expected.setStonesAt(move.player, move.coords, 0);
+  move.path.forEach((step) => {
+    if (step.isMancala) {
+      expected.mancalas[`player${step.player}`]++;
+    } else {
+      add(step.player, step.position, 1);
+    }
+  });
+  move.captures.forEach((pit) => {
+    add(pit.player, pit.coords, -pit.stones);
+    expected.mancalas[`player${move.player}`] += pit.stones;
+  });
+  if (move.swept) {
+    [1, 2].forEach((player) => {
+      expected.mancalas[`player${player}`] += move.swept[`player${player}`];
+      expected.getPitCoordinates().forEach((coords) => expected.setStonesAt(player, coords, 0));
+    });
+  }
+  return expected;
+}
+
+describe("GameState properties", () => {
+  it("never creates or loses stones", () => {
+    fc.assert(
+      fc.property(games, choices, (game, picks) => {
+        const state = newGame(game);
+        const total = totalStones(state);
+        playOut(state, picks, (before) => {
+          expect(totalStones(before)).toBe(total);
+        });
+        expect(totalStones(state)).toBe(total);
+      })
+    );
+  });
+
+  it("performs exactly the move simulateMove predicts", () => {
+    fc.assert(
+      fc.property(games, choices, (game, picks) => {
+        playOut(newGame(game), picks, (before, coords) => {
+          const move = before.simulateMove(coords);
+          const after = before.clone();
+          const extraTurn = after.performMove(coords);
+
+          expect(after.toSnapshot()).toEqual(move.state.toSnapshot());
+          expect(extraTurn).toBe(move.extraTurn);
+          expect(move.captured).toBe(move.captures.reduce((sum, pit) => sum + pit.stones, 0));
+        });
+      })
+    );
+  });
+
+  it("lists every stone of a move in its path", () => {
+    // Relay sowing picks stones up again along the way, which the path
+    // does not record, so it is left out here
+    const withoutRelay = games.filter((game) => !RULE_PRESETS[game.rules].rules.relay);
+    fc.assert(
+      fc.property(withoutRelay, choices, (game, picks) => {
+        playOut(newGame(game), picks, (before, coords) => {
+          const move = before.simulateMove(coords);
+          expect(move.path).toHaveLength(move.stones);
+          expect(stonesOf(replayOutcome(before, move))).toEqual(stonesOf(move.state));
+        });
+      })
+    );
+  });
+
+  it("always reaches the end of the game under random play", () => {
+    fc.assert(
+      fc.property(games, fc.nat(), (game, seed) => {
+        const state = newGame(game);
+        const random = createRandom(seed);
+        let plies = 0;
+        while (!state.isGameOver() && plies < MAX_PLIES) {
+          const moves = state.getValidMoves();
+          state.performMove(moves[Math.floor(random() * moves.length)]);
+          plies++;
+        }
+        expect(state.isGameOver()).toBe(true);
+        expect(state.getStonesOnSide(1) + state.getStonesOnSide(2)).toBe(0);
+        expect([0, 1, 2]).toContain(state.getWinner());
+      })
+    );
+  });
+
+  it("replays the same game from its notation", () => {
+    fc.assert(
+      fc.property(games, choices, (game, picks) => {
+        const state = playOut(newGame(game), picks, () => {});
+        const replayed = GameState.fromNotation(state.toNotation());
+        expect(replayed.toSnapshot()).toEqual(state.toSnapshot());
+        expect(replayed.toNotation()).toBe(state.toNotation());
+      })
+    );
+  });
+});
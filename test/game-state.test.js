@@ -0,0 +1,321 @@
+import { describe, expect, it } from "vitest";
+import { GameState } from "../src/game-state.js";
+import { position } from "./helpers.js";
+import { CAPTURE_RULES, MAX_GAME_PLIES, SOWING_DIRECTIONS } from "../src/rules.js";
+import { MAX_PITS_PER_SIDE, NotationError } from "../src/notation.js";
+
+// Positions are written as position strings (see notation.js), with the
+// pits of each player listed in sowing order for the 2-dimensional board
+function pits(state, player) {
+  return state.getPitCoordinates().map((coords) => state.getStonesAt(player, coords));
+}
+
+describe("GameState setup", () => {
+  it("fills every pit of both players", () => {
+    const state = new GameState(2, 6, 4);
+    expect(pits(state, 1)).toEqual([4, 4, 4, 4, 4, 4]);
+    expect(pits(state, 2)).toEqual([4, 4, 4, 4, 4, 4]);
+    expect(state.getScores()).toEqual({ player1: 0, player2: 0 });
+    expect(state.currentPlayer).toBe(1);
+  });
+
+  it("gives each player a grid with one axis fewer than the board", () => {
+    const state = new GameState(4, 3, 1);
+    expect(state.getPitCount()).toBe(27);
+    expect(state.getStonesOnSide(1)).toBe(27);
+  });
+
+  it("walks higher-dimensional grids back and forth", () => {
+    const state = new GameState(3, 3);
+    expect(state.getPitCoordinates()).toEqual([
+      [0, 0], [0, 1], [0, 2],
+      [1, 2], [1, 1], [1, 0],
+      [2, 0], [2, 1], [2, 2],
+    ]);
+  });
+
+  it("mirrors every axis to find the opposite pit", () => {
+    const state = new GameState(3, 4);
+    expect(state.getOppositeCoords([0, 1])).toEqual([3, 2]);
+    expect(state.getOppositeCoords([3, 3])).toEqual([0, 0]);
+  });
+
+  it("starts an edited position with an empty side as a finished game", () => {
+    // The position editor sets stones by hand, then plays on from the
+    // position string of the result
+    const edited = new GameState(2, 6, 4, { seed: 1 });
+    edited.getPitCoordinates().forEach((coords) => edited.setStonesAt(1, coords, 0));
+    edited.mancalas.player1 = 30;
+    const state = position(edited.toPositionString());
+    expect(state.isGameOver()).toBe(true);
+    expect(state.getScores()).toEqual({ player1: 30, player2: 24 });
+    expect(state.getWinner()).toBe(1);
+  });
+
+  it("rejects boards with fewer than 2 dimensions or no pits", () => {
+    expect(() => new GameState(1, 6)).toThrow(RangeError);
+    expect(() => new GameState(2, 0)).toThrow(RangeError);
+    expect(() => new GameState(2, 1.5)).toThrow(RangeError);
+    expect(() => GameState.fromNotation('[Dimensions "2"]\n[PitsPerSide "0"]\n')).toThrow(NotationError);
+  });
+
+  it("starts over when the layout leaves a side empty", () => {
+    const state = new GameState(2, 6, 0);
+    expect(state.isGameOver()).toBe(true);
+    expect(state.getWinner()).toBe(0);
+  });
+
+  it("refuses notation for boards too large to build", () => {
+    expect(() => position("2:6 0*50000000/0*6 0/0 1")).toThrow(NotationError);
+    expect(() => position("9:99 0/0 0/0 1")).toThrow(NotationError);
+    expect(() => position("2:100000000 0/0 0/0 1")).toThrow(NotationError);
+    expect(() => position("4:7 1*343/1*343 0/0 1")).toThrow(NotationError);
+    expect(position(`4:6 1*${MAX_PITS_PER_SIDE}/1*${MAX_PITS_PER_SIDE} 0/0 1`).getPitCount()).toBe(216);
+    expect(() => GameState.fromNotation('[Dimensions "5"]\n[PitsPerSide "1000"]\n')).toThrow(NotationError);
+  });
+
+  it("refuses rules notation with values of the wrong kind", () => {
+    const game = (rules) => `[Dimensions "2"]\n[PitsPerSide "6"]\n[Rules "${rules}"]\n`;
+    expect(GameState.fromNotation(game("relay=true capture=always")).rules.relay).toBe(true);
+    expect(() => GameState.fromNotation(game("relay=yes"))).toThrow(NotationError);
+    expect(() => GameState.fromNotation(game("sowTwice=true"))).toThrow(NotationError);
+    expect(() => new GameState(2, 6, 4, { rules: { relay: "yes" } })).toThrow(TypeError);
+  });
+});
+
+describe("move validation", () => {
+  it("only allows non-empty pits on the board", () => {
+    const state = position("2:6 0,4*5/4*6 0/0 1");
+    expect(state.isValidMove([0])).toBe(false);
+    expect(state.isValidMove([1])).toBe(true);
+    expect(state.isValidMove([6])).toBe(false);
+    expect(state.getValidMoves()).toEqual([[1], [2], [3], [4], [5]]);
+  });
+
+  it("leaves the state alone for an invalid move", () => {
+    const state = position("2:6 0,4*5/4*6 0/0 1");
+    const before = state.toPositionString();
+    expect(state.simulateMove([0])).toBeNull();
+    expect(state.performMove([0])).toBe(false);
+    expect(state.toPositionString()).toBe(before);
+  });
+});
+
+describe("sowing", () => {
+  it("drops one stone in each following pit", () => {
+    const state = new GameState(2, 6, 4);
+    const extraTurn = state.performMove([0]);
+    expect(extraTurn).toBe(false);
+    expect(pits(state, 1)).toEqual([0, 5, 5, 5, 5, 4]);
+    expect(state.currentPlayer).toBe(2);
+  });
+
+  it("continues into the mover's mancala and the opponent's pits", () => {
+    const state = new GameState(2, 6, 4);
+    state.performMove([4]);
+    expect(pits(state, 1)).toEqual([4, 4, 4, 4, 0, 5]);
+    expect(state.mancalas.player1).toBe(1);
+    expect(pits(state, 2)).toEqual([5, 5, 4, 4, 4, 4]);
+  });
+
+  it("skips the opponent's mancala", () => {
+    // 9 stones from the last pit: mancala, 6 opponent pits, then back round
+    const state = position("2:6 1*5,9/1*6 0/0 1");
+    const move = state.simulateMove([5]);
+    expect(move.path.filter((step) => step.isMancala)).toEqual([
+      { player: 1, position: null, isMancala: true },
+    ]);
+    expect(pits(move.state, 1)).toEqual([2, 2, 1, 1, 1, 0]);
+    expect(move.state.mancalas).toEqual({ player1: 1, player2: 0 });
+  });
+
+  it("records every stone's destination in the path", () => {
+    const state = new GameState(2, 6, 4);
+    const move = state.simulateMove([3]);
+    expect(move.stones).toBe(4);
+    expect(move.path).toEqual([
+      { player: 1, position: [4], isMancala: false },
+      { player: 1, position: [5], isMancala: false },
+      { player: 1, position: null, isMancala: true },
+      { player: 2, position: [0], isMancala: false },
+    ]);
+  });
+
+  it("sows clockwise through the grid in reverse", () => {
+    const state = new GameState(2, 6, 4, { rules: { direction: SOWING_DIRECTIONS.CLOCKWISE } });
+    state.performMove([1]);
+    expect(pits(state, 1)).toEqual([5, 0, 4, 4, 4, 4]);
+    expect(state.mancalas.player1).toBe(1);
+    expect(pits(state, 2)).toEqual([4, 4, 4, 4, 5, 5]);
+  });
+
+  it("can sow past the mover's own store", () => {
+    const state = new GameState(2, 6, 4, { rules: { skipOwnStore: true } });
+    state.performMove([4]);
+    expect(state.mancalas.player1).toBe(0);
+    expect(pits(state, 1)).toEqual([4, 4, 4, 4, 0, 5]);
+    expect(pits(state, 2)).toEqual([5, 5, 5, 4, 4, 4]);
+  });
+
+  it("relays from occupied landing pits until a stone lands in an empty one", () => {
+    // The stone from pit 2 lands on pit 3, which is picked up and sown on
+    const state = position("2:6 0,1,1,0*3/1*6 0/0 1", {
+      relay: true,
+      capture: CAPTURE_RULES.NONE,
+    });
+    const move = state.simulateMove([1]);
+    expect(pits(move.state, 1)).toEqual([0, 0, 0, 1, 1, 0]);
+    expect(move.path.map((step) => step.position)).toEqual([[2], [3], [4]]);
+  });
+});
+
+describe("extra turns", () => {
+  it("lets the mover play again when the last stone ends in their mancala", () => {
+    const state = new GameState(2, 6, 4);
+    expect(state.performMove([2])).toBe(true);
+    expect(state.currentPlayer).toBe(1);
+    expect(state.mancalas.player1).toBe(1);
+  });
+
+  it("skips the capture check when the last stone ends in the mancala", () => {
+    // The stone before the last lands alone in pit 6, opposite a full pit;
+    // the last stone goes on to the mancala so nothing is captured
+    const state = position("2:6 0*4,2,0/4*6 0/0 1");
+    const move = state.simulateMove([4]);
+    expect(move.extraTurn).toBe(true);
+    expect(move.captures).toEqual([]);
+    expect(pits(move.state, 1)).toEqual([0, 0, 0, 0, 0, 1]);
+    expect(pits(move.state, 2)).toEqual([4, 4, 4, 4, 4, 4]);
+    expect(move.state.mancalas.player1).toBe(1);
+  });
+
+  it("is not given for a move that ends the game", () => {
+    const state = position("2:6 0*5,1/4*6 0/0 1");
+    const move = state.simulateMove([5]);
+    expect(move.gameOver).toBe(true);
+    expect(move.extraTurn).toBe(false);
+  });
+});
+
+describe("captures", () => {
+  it("takes the opposite pit when the last stone lands in an empty own pit", () => {
+    const state = position("2:6 1,0*5/4*6 0/0 1");
+    const move = state.simulateMove([0]);
+    expect(move.captures).toEqual([
+      { player: 2, coords: [4], stones: 4 },
+      { player: 1, coords: [1], stones: 1 },
+    ]);
+    expect(move.captured).toBe(5);
+    expect(move.state.mancalas.player1).toBe(5);
+    expect(pits(move.state, 1)).toEqual([0, 0, 0, 0, 0, 0]);
+  });
+
+  it("captures across from the last pit at the board's edge", () => {
+    // Landing in pit index pocketsPerSide - 1 faces the opponent's index 0
+    const state = position("2:6 0*4,1,0/3,1*5 0/0 1");
+    const move = state.simulateMove([4]);
+    expect(move.captures[0]).toEqual({ player: 2, coords: [0], stones: 3 });
+    expect(move.state.mancalas.player1).toBe(4);
+    expect(move.state.getStonesAt(2, [0])).toBe(0);
+  });
+
+  it("captures across from the first pit after a full lap", () => {
+    // 13 stones on 6 pits come back round to the emptied pit they left
+    const state = position("2:6 13,0*5/1,0*5 0/0 1");
+    const move = state.simulateMove([0]);
+    expect(move.stones).toBe(13);
+    expect(move.captures[0]).toEqual({ player: 2, coords: [5], stones: 1 });
+    expect(move.state.mancalas.player1).toBe(3);
+    expect(pits(move.state, 1)).toEqual([0, 1, 1, 1, 1, 1]);
+    expect(pits(move.state, 2)).toEqual([2, 1, 1, 1, 1, 0]);
+  });
+
+  it("does not capture when a long lap lands in a pit it already filled", () => {
+    // 26 stones go round twice, so the origin pit ends with 2
+    const state = position("2:6 26,0*5/1,0*5 0/0 1");
+    const move = state.simulateMove([0]);
+    expect(move.captures).toEqual([]);
+    expect(move.state.getStonesAt(1, [0])).toBe(2);
+  });
+
+  it("does not capture an empty opposite pit under Kalah rules", () => {
+    const state = position("2:6 1,0*5/1,0*5 0/0 1");
+    const move = state.simulateMove([0]);
+    expect(move.captures).toEqual([]);
+    expect(move.state.getStonesAt(1, [1])).toBe(1);
+  });
+
+  it("captures the landing stone alone when any empty pit captures", () => {
+    const state = position("2:6 1,0*5/1,0*5 0/0 1", { capture: CAPTURE_RULES.ALWAYS });
+    const move = state.simulateMove([0]);
+    expect(move.captured).toBe(1);
+    expect(move.state.mancalas.player1).toBe(1);
+  });
+
+  it("never captures without a capture rule", () => {
+    const state = position("2:6 1,0*5/4*6 0/0 1", { capture: CAPTURE_RULES.NONE });
+    const move = state.simulateMove([0]);
+    expect(move.captures).toEqual([]);
+    expect(move.state.getStonesAt(2, [4])).toBe(4);
+  });
+
+  it("does not capture when the last stone lands on the opponent's side", () => {
+    const state = position("2:6 1,0*4,3/0,4*5 0/0 1");
+    const move = state.simulateMove([5]);
+    expect(move.captures).toEqual([]);
+    expect(move.state.getStonesAt(2, [1])).toBe(5);
+  });
+
+  it("skips the emptied pit on Oware-style laps, so a full lap cannot capture", () => {
+    const state = position("2:6 13,0*5/1,0*5 0/0 1", { skipOrigin: true });
+    const move = state.simulateMove([0]);
+    expect(move.captures).toEqual([]);
+    expect(move.state.getStonesAt(1, [0])).toBe(0);
+    expect(move.state.getStonesAt(1, [1])).toBe(2);
+  });
+});
+
+describe("end of the game", () => {
+  it("sweeps the remaining stones when a side runs out", () => {
+    const state = position("2:6 0*5,1/1,2,0*4 10/5 1");
+    const move = state.simulateMove([5]);
+    expect(move.gameOver).toBe(true);
+    expect(move.swept).toEqual({ player1: 0, player2: 3 });
+    expect(move.state.getScores()).toEqual({ player1: 11, player2: 8 });
+    expect(move.state.getWinner()).toBe(1);
+    expect(move.state.getValidMoves()).toEqual([]);
+  });
+
+  it("sweeps positions that are loaded with an empty side", () => {
+    const state = position("2:6 0*6/4*6 0/0 1");
+    expect(state.isGameOver()).toBe(true);
+    expect(state.getScores()).toEqual({ player1: 0, player2: 24 });
+    expect(state.getWinner()).toBe(2);
+    expect(state.toPositionString()).toBe("2:6 0*6/0*6 0/24 1");
+  });
+
+  it("reports a draw for equal scores", () => {
+    const state = position("2:6 0*5,1/1,0*5 3/3 1");
+    state.performMove([5]);
+    expect(state.isGameOver()).toBe(true);
+    expect(state.getWinner()).toBe(0);
+  });
+
+  it("ends games whose positions repeat after MAX_GAME_PLIES plies", () => {
+    // Sowing past the own store, the single pits hand 4 and 2 stones back and forth
+    const state = new GameState(2, 1, 3, { rules: { skipOwnStore: true }, seed: 0 });
+    for (let ply = 0; ply < MAX_GAME_PLIES - 1; ply++) {
+      state.performMove([0]);
+    }
+    expect(state.isGameOver()).toBe(false);
+    expect(state.toPositionString()).toBe("2:1 2/4 0/0 2");
+    state.performMove([0]);
+    expect(state.isGameOver()).toBe(true);
+    expect(state.getScores()).toEqual({ player1: 4, player2: 2 });
+    expect(state.getWinner()).toBe(1);
+  });
+
+  it("has no winner while the game goes on", () => {
+    expect(new GameState(2, 6).getWinner()).toBeNull();
+  });
+});
@@ -0,0 +1,11 @@
+import { GameState } from "../src/game-state.js";
+
+/**
+ * Reads a position string with a fixed seed, so tests are repeatable
+ * @param {string} text - Position string, see notation.js
+ * @param {Object} [rules={}] - Rules to play under, see rules.js
+ * @returns {GameState}
+ */
+export function position(text, rules = {}) {
+  return GameState.fromPositionString(text, { rules, seed: 1 });
+}
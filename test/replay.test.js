@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { GameState } from "../src/game-state.js";
+import { readReplayHash, replayLink } from "../src/replay.js";
+
+describe("replay links", () => {
+  const game = new GameState(3, 3, 2, { rules: { relay: true }, seed: 7 });
+  [[0, 0], [1, 2], [2, 1]].forEach((coords) => {
+    if (game.isValidMove(coords)) game.performMove(coords);
+  });
+  const notation = game.toNotation();
+
+  it("carries a game's notation in the hash", () => {
+    const link = replayLink(notation, "https://example.com/mancala/?v=2#old");
+    expect(link.startsWith("https://example.com/mancala/?v=2#replay=")).toBe(true);
+    expect(link).not.toMatch(/[\s"[\]]/);
+    expect(readReplayHash(new URL(link).hash)).toBe(notation);
+  });
+
+  it("replays the same game from the link", () => {
+    const hash = new URL(replayLink(notation, "http://localhost:5173/")).hash;
+    const replayed = GameState.fromNotation(readReplayHash(hash));
+    expect(replayed.toNotation()).toBe(notation);
+    expect(replayed.moves).toEqual(game.moves);
+  });
+
+  it("ignores other hashes and broken links", () => {
+    expect(readReplayHash("")).toBeNull();
+    expect(readReplayHash("#menu")).toBeNull();
+    expect(readReplayHash("#replay=%5BDim%E")).toBeNull();
+  });
+});
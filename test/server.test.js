@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { WebSocket } from "ws";
+import { GameState } from "../src/game-state.js";
+import { MAX_NOTATION_LENGTH, Room, RoomError, RoomRegistry } from "../server/rooms.js";
+import { startServer } from "../server/index.js";
+
+const NOTATION = new GameState(2, 6, 4, { seed: 1 }).toNotation();
+
+describe("Room", () => {
+  it("seats two players and refuses a third", () => {
+    const room = new Room("ABCDE", new GameState(2, 6));
+    expect(room.takeSeat("Ann").player).toBe(1);
+    expect(room.takeSeat("Bo").player).toBe(2);
+    expect(() => room.takeSeat("Cy")).toThrow(RoomError);
+  });
+
+  it("gives a seat back only for its token", () => {
+    const room = new Room("ABCDE", new GameState(2, 6));
+    room.takeSeat("Ann");
+    const { token } = room.takeSeat("Bo");
+    expect(room.findSeat(token)).toBe(2);
+    expect(() => room.findSeat("not-a-token")).toThrow(RoomError);
+  });
+
+  it("plays only legal moves of the player to move", () => {
+    const room = new Room("ABCDE", new GameState(2, 6));
+    expect(() => room.play(2, [0])).toThrow("It is not your turn");
+    expect(() => room.play(1, [6])).toThrow("Illegal move");
+    expect(() => room.play(1, ["0"])).toThrow("Illegal move");
+    room.play(1, [0]);
+    expect(room.state.moves).toHaveLength(1);
+  });
+});
+
+describe("RoomRegistry", () => {
+  it("opens rooms for readable notation of limited length", () => {
+    const registry = new RoomRegistry();
+    expect(() => registry.create("x".repeat(MAX_NOTATION_LENGTH + 1))).toThrow(RoomError);
+    expect(() => registry.create('[Dimensions "1"]\n')).toThrow(RoomError);
+    expect(() => registry.create(null)).toThrow(RoomError);
+
+    const room = registry.create(NOTATION);
+    expect(registry.get(` ${room.code.toLowerCase()} `)).toBe(room);
+    registry.delete(room);
+    expect(() => registry.get(room.code)).toThrow(RoomError);
+  });
+});
+
+describe("server", () => {
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    server = startServer({ port: 0 });
+    await new Promise((resolve) => server.once("listening", resolve));
+    url = `ws://localhost:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.clients.forEach((socket) => socket.terminate());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const connect = () =>
+    new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      socket.once("open", () => resolve(socket));
+      socket.once("error", reject);
+    });
+
+  // Next message of the given type
+  const receive = (socket, type) =>
+    new Promise((resolve) => {
+      const listener = (data) => {
+        const message = JSON.parse(data);
+        if (message.type === type) {
+          socket.off("message", listener);
+          resolve(message);
+        }
+      };
+      socket.on("message", listener);
+    });
+
+  const request = async (socket, message, type = "joined") => {
+    const reply = receive(socket, type);
+    socket.send(JSON.stringify(message));
+    return reply;
+  };
+
+  it("gives a reconnecting player their seat and the game back", async () => {
+    const host = await connect();
+    const seated = receive(host, "state");
+    const { code, token } = await request(host, { type: "host", notation: NOTATION, name: "Ann" });
+    await seated;
+    expect((await request(host, { type: "move", coords: [0] }, "state")).move).toEqual([0]);
+    host.close();
+
+    const again = await connect();
+    const state = receive(again, "state");
+    expect(await request(again, { type: "rejoin", code, token })).toMatchObject({ code, player: 1 });
+    expect(GameState.fromNotation((await state).notation).moves).toHaveLength(1);
+
+    const intruder = await connect();
+    const refused = await request(intruder, { type: "rejoin", code, token: "not-a-token" }, "error");
+    expect(refused.message).toMatch(/No seat/);
+    again.close();
+    intruder.close();
+  });
+
+  it("drops a connection that sends too much and keeps serving others", async () => {
+    const flood = await connect();
+    const closed = new Promise((resolve) => flood.once("close", resolve));
+    flood.send("x".repeat(4 * MAX_NOTATION_LENGTH));
+    expect(await closed).toBe(1009);
+
+    const host = await connect();
+    expect(await request(host, { type: "host", notation: NOTATION, name: "Ann" })).toMatchObject({ player: 1 });
+    host.close();
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { position } from "./helpers.js";
+import { ENGINES, findEngine } from "../src/engines.js";
+import { formatResultsCsv, runTournament, wilsonInterval } from "../src/tournament.js";
+import { createRandom } from "../src/random.js";
+import { MAX_GAME_PLIES } from "../src/rules.js";
+
+const SMALL_BOARDS = [
+  { dimensions: 2, pocketsPerSide: 3, stones: 2 },
+  { dimensions: 3, pocketsPerSide: 2, stones: 2 },
+];
+
+describe("engines", () => {
+  it("plays the move that puts the most stones in the mover's mancala", () => {
+    // Pit 1 captures 4 stones and the landing stone, pit 6 scores 1
+    const state = position("2:6 1,0*4,1/4*6 0/0 1");
+    expect(ENGINES.greedy.choose(state, createRandom(1))).toEqual([0]);
+  });
+
+  it("finds minimax engines of any depth by name", () => {
+    expect(findEngine("minimax-3").label).toBe("Minimax, depth 3");
+    expect(findEngine("hard")).toBe(ENGINES.hard);
+    expect(findEngine("minimax-0")).toBeNull();
+    expect(findEngine("perfect")).toBeNull();
+  });
+});
+
+describe("wilsonInterval", () => {
+  it("matches the Wilson score interval", () => {
+    const { rate, low, high } = wilsonInterval(5, 10);
+    expect(rate).toBe(0.5);
+    expect(low).toBeCloseTo(0.2366, 4);
+    expect(high).toBeCloseTo(0.7634, 4);
+  });
+
+  it("stays inside 0 and 1 for one-sided results", () => {
+    expect(wilsonInterval(0, 10).low).toBe(0);
+    expect(wilsonInterval(0, 10).high).toBeCloseTo(0.2775, 4);
+    expect(wilsonInterval(10, 10).high).toBeCloseTo(1, 10);
+  });
+});
+
+describe("runTournament", () => {
+  const options = { engines: ["random", "greedy", "minimax-2"], boards: SMALL_BOARDS, games: 5, seed: 42 };
+
+  it("finishes games under rules that repeat positions", () => {
+    const results = runTournament({
+      engines: ["random", "greedy"],
+      boards: [{ dimensions: 2, pocketsPerSide: 1, stones: 3 }],
+      rules: ["skipOwnStore"],
+      games: 2,
+    });
+    expect(results.boards[0].matchups[0].averagePlies).toBe(MAX_GAME_PLIES);
+  });
+
+  it("plays every pair of engines on every board, first in turn", () => {
+    const results = runTournament(options);
+    expect(results.games).toBe(6);
+    expect(results.boards).toHaveLength(2);
+    for (const board of results.boards) {
+      expect(board.matchups.map((matchup) => matchup.engines)).toEqual([
+        ["random", "greedy"], ["random", "minimax-2"], ["greedy", "minimax-2"],
+      ]);
+      for (const matchup of board.matchups) {
+        expect(matchup.wins[0] + matchup.wins[1] + matchup.draws).toBe(6);
+        expect(matchup.averagePlies).toBeGreaterThan(0);
+      }
+      expect(board.firstPlayer.games).toBe(18);
+    }
+  });
+
+  it("plays the same games from the same seed", () => {
+    expect(runTournament(options)).toEqual(runTournament(options));
+  });
+
+  it("writes one CSV row per matchup and board", () => {
+    const lines = formatResultsCsv(runTournament(options)).trim().split("\n");
+    expect(lines).toHaveLength(7);
+    expect(lines[1]).toMatch(/^2,3,2,kalah,random,greedy,6,/);
+  });
+
+  it("rejects unknown engines and rules", () => {
+    expect(() => runTournament({ ...options, engines: ["random", "oracle"] })).toThrow(RangeError);
+    expect(() => runTournament({ ...options, rules: ["chess"] })).toThrow(RangeError);
+  });
+});